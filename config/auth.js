@@ -0,0 +1,20 @@
+require("dotenv").config();
+
+module.exports = {
+    jwtSecret: process.env.JWT_SECRET,
+
+    // Lifetime of access tokens (JWT) and refresh tokens, in seconds
+    accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60,
+    refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60,
+
+    // Lifetime of email verification and password reset links, in seconds
+    verificationTokenTtl: 24 * 60 * 60,
+    passwordResetTokenTtl: 60 * 60,
+
+    // Accept access tokens when revocations can't be read from the cache
+    // store (e.g. Redis is down) instead of rejecting every request
+    revocationFailOpen: process.env.AUTH_REVOCATION_FAIL_OPEN === "true",
+
+    // Block chat for accounts that have not verified their email
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === "true"
+};
@@ -0,0 +1,16 @@
+require("dotenv").config();
+
+module.exports = {
+    // redis | memory. Defaults to Redis when REDIS_URL is set; the in-memory
+    // store is also used when Redis cannot be reached at startup.
+    driver: process.env.CACHE_DRIVER || (process.env.REDIS_URL ? "redis" : "memory"),
+    redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+
+    // Maximum number of keys kept by the in-memory store
+    memoryMaxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES) || 10000,
+
+    // Keys the in-memory store never evicts to make room: access token
+    // revocations (see services/tokenService.js), which must last until the
+    // tokens expire
+    memoryPinnedPrefixes: ["token_denylist:", "tokens_revoked_before:"]
+};
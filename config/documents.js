@@ -0,0 +1,40 @@
+require("dotenv").config();
+
+// Numeric setting that may legitimately be 0
+const envNumber = (name, fallback) => process.env[name] ? parseFloat(process.env[name]) : fallback;
+
+// Default embedding model for each provider when EMBEDDING_MODEL is not set
+const DEFAULT_EMBEDDING_MODELS = {
+    local: "local-hash-256",
+    "openai-compatible": "nomic-embed-text",
+    openai: "text-embedding-3-small",
+    huggingface: "sentence-transformers/all-MiniLM-L6-v2"
+};
+
+const embeddingProvider = process.env.EMBEDDING_PROVIDER || "local";
+
+module.exports = {
+    // Largest accepted upload
+    maxBytes: parseInt(process.env.DOCUMENT_MAX_BYTES) || 10 * 1024 * 1024,
+    // Documents a conversation can attach
+    maxPerConversation: parseInt(process.env.DOCUMENT_MAX_PER_CONVERSATION) || 20,
+
+    // Chunk length and the overlap between consecutive chunks, in characters
+    chunkSize: parseInt(process.env.DOCUMENT_CHUNK_SIZE) || 1000,
+    chunkOverlap: envNumber("DOCUMENT_CHUNK_OVERLAP", 200),
+
+    // Chunks injected into the prompt, and the cosine similarity they need
+    retrieval: {
+        topK: parseInt(process.env.RAG_TOP_K) || 4,
+        minScore: envNumber("RAG_MIN_SCORE", 0.1)
+    },
+
+    // local (deterministic hashing, no external service), openai-compatible,
+    // openai or huggingface. Credentials come from the LLM provider settings.
+    embeddings: {
+        provider: embeddingProvider,
+        model: process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[embeddingProvider],
+        batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32,
+        timeout: parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 30000
+    }
+};
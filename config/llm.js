@@ -0,0 +1,111 @@
+require("dotenv").config();
+
+// Default models for each provider when LLM_MODEL / LLM_FALLBACK_MODEL are not set
+const DEFAULT_MODELS = {
+    huggingface: {
+        model: "mistralai/Mistral-7B-Instruct-v0.2",
+        fallbackModel: "meta-llama/Llama-2-7b-chat-hf"
+    },
+    "openai-compatible": {
+        model: process.env.LM_STUDIO_MODEL || "mistral-7b-instruct-v0.3",
+        fallbackModel: null
+    },
+    openai: {
+        model: "gpt-4o-mini",
+        fallbackModel: null
+    }
+};
+
+const provider = process.env.LLM_PROVIDER || "huggingface";
+const defaults = DEFAULT_MODELS[provider] || {};
+const model = process.env.LLM_MODEL || defaults.model;
+const fallbackModel = process.env.LLM_FALLBACK_MODEL || defaults.fallbackModel;
+const timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+
+// Numeric setting that may legitimately be 0
+const envNumber = (name, fallback) => process.env[name] ? parseFloat(process.env[name]) : fallback;
+
+// Ordered list of model endpoints to try. LLM_ENDPOINTS takes a JSON array of
+// { provider, model, timeout, options, template, sanitize, tools } entries; otherwise the
+// primary and fallback models of LLM_PROVIDER are used.
+const parseEndpoints = () => {
+    let endpoints = [model, fallbackModel].filter(Boolean).map(name => ({ provider, model: name }));
+
+    if (process.env.LLM_ENDPOINTS) {
+        try {
+            endpoints = JSON.parse(process.env.LLM_ENDPOINTS);
+        } catch (error) {
+            throw new Error(`Invalid LLM_ENDPOINTS: ${error.message}`);
+        }
+    }
+
+    return endpoints.map(endpoint => ({
+        provider,
+        timeout,
+        options: {},
+        ...endpoint
+    }));
+};
+
+module.exports = {
+    provider,
+    model,
+    fallbackModel,
+    endpoints: parseEndpoints(),
+
+    // Retry policy for 429/503 responses
+    retry: {
+        retries: process.env.LLM_RETRIES !== undefined ? parseInt(process.env.LLM_RETRIES) : 2,
+        baseDelayMs: 1000,
+        maxDelayMs: 10000
+    },
+
+    // Skip an endpoint for cooldownMs after failureThreshold consecutive failures
+    circuitBreaker: {
+        failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 3,
+        cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS) || 60000
+    },
+
+    // Default sampling parameters sent with every chat request
+    params: {
+        maxTokens: 1000,
+        temperature: 0.7,
+        topP: 0.95
+    },
+
+    // Range of sampling parameters users may choose for their personas,
+    // conversations and requests
+    paramBounds: {
+        temperature: { min: envNumber("LLM_TEMPERATURE_MIN", 0), max: envNumber("LLM_TEMPERATURE_MAX", 2) },
+        topP: { min: envNumber("LLM_TOP_P_MIN", 0), max: envNumber("LLM_TOP_P_MAX", 1) },
+        maxTokens: { min: 1, max: envNumber("LLM_MAX_TOKENS_MAX", 4096) }
+    },
+
+    // Context window assembly. Endpoints may set their own contextWindow;
+    // maxTokens of the sampling parameters is reserved for the completion.
+    context: {
+        contextWindow: parseInt(process.env.LLM_CONTEXT_WINDOW) || 4096,
+        maxHistoryTurns: parseInt(process.env.LLM_MAX_HISTORY_TURNS) || 50,
+        minTruncatedTokens: 64
+    },
+
+    // Rolling summary of turns that no longer fit in the context window
+    summary: {
+        enabled: process.env.LLM_SUMMARY_ENABLED !== "false",
+        maxTokens: 300,
+        temperature: 0.3
+    },
+
+    huggingface: {
+        apiUrl: process.env.HUGGINGFACE_API_URL || "https://api-inference.huggingface.co/models",
+        apiKey: process.env.HUGGINGFACE_API_KEY
+    },
+    "openai-compatible": {
+        baseUrl: process.env.LM_STUDIO_API_URL || "http://localhost:1234/v1",
+        apiKey: process.env.LM_STUDIO_API_KEY
+    },
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY
+    }
+};
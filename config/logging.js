@@ -0,0 +1,17 @@
+require("dotenv").config();
+
+const LEVELS = ["error", "warn", "info", "http", "verbose", "debug", "silly"];
+const level = (process.env.LOG_LEVEL || "").trim().toLowerCase();
+
+module.exports = {
+    // Least severe level written, one of LEVELS
+    level: LEVELS.includes(level) ? level : "info",
+
+    // One entry per request with its method, route, status and latency
+    accessLog: process.env.LOG_ACCESS !== "false",
+
+    // Replace credentials and message bodies in log entries (see
+    // utils/logRedaction.js). Turning it off also shows the links of the
+    // console mail transport.
+    redact: process.env.LOG_REDACT !== "false"
+};
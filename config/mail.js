@@ -0,0 +1,20 @@
+require("dotenv").config();
+const path = require("path");
+
+module.exports = {
+    // console | file | http
+    transport: process.env.MAIL_TRANSPORT || "console",
+    from: process.env.MAIL_FROM || "SIR <no-reply@localhost>",
+
+    // Base URL of the frontend, used to build links in emails
+    appUrl: process.env.FRONTEND_URL || "http://localhost:3000",
+
+    file: {
+        path: process.env.MAIL_FILE_PATH || path.join(__dirname, "../logs/mail.log")
+    },
+    // Generic HTTP mail API: the message is POSTed as JSON
+    http: {
+        url: process.env.MAIL_HTTP_URL,
+        apiKey: process.env.MAIL_HTTP_API_KEY
+    }
+};
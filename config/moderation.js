@@ -0,0 +1,77 @@
+require("dotenv").config();
+
+const envList = (name) => (process.env[name] || "").split(",").map(item => item.trim()).filter(Boolean);
+
+// Moderation rules, applied in order. Each rule has a `name`, a `type`
+// (blocklist, pii, pattern or classifier), the `stages` it checks (input:
+// user messages before they reach the model or the database; output: model
+// responses) and an `action`:
+//   block  - input is refused; output is withheld
+//   redact - matches are replaced with [REDACTED:<name>] (classifiers can't
+//            redact and flag instead)
+//   flag   - the chat is saved and queued for admin review
+// MODERATION_RULES takes a JSON array of rules; otherwise they are built
+// from the variables below.
+const defaultRules = () => {
+    const rules = [];
+
+    const blocklist = envList("MODERATION_BLOCKLIST");
+    if (blocklist.length) {
+        rules.push({
+            name: "blocklist",
+            type: "blocklist",
+            terms: blocklist,
+            action: process.env.MODERATION_BLOCKLIST_ACTION || "block",
+            stages: ["input", "output"]
+        });
+    }
+
+    // Detectors of services/moderation/detectors.js; API keys first so their
+    // digits aren't taken for phone numbers
+    const piiAction = process.env.MODERATION_PII_ACTION || "redact";
+    for (const detector of ["apiKey", "card", "email", "phone"]) {
+        rules.push({
+            name: detector,
+            type: "pii",
+            detector,
+            action: piiAction,
+            stages: envList("MODERATION_PII_STAGES").length ? envList("MODERATION_PII_STAGES") : ["input"]
+        });
+    }
+
+    // openai (moderation endpoint) or huggingface (text classification model)
+    if (process.env.MODERATION_CLASSIFIER) {
+        rules.push({
+            name: "classifier",
+            type: "classifier",
+            provider: process.env.MODERATION_CLASSIFIER,
+            model: process.env.MODERATION_CLASSIFIER_MODEL,
+            threshold: process.env.MODERATION_CLASSIFIER_THRESHOLD ? parseFloat(process.env.MODERATION_CLASSIFIER_THRESHOLD) : 0.8,
+            action: process.env.MODERATION_CLASSIFIER_ACTION || "flag",
+            stages: ["input", "output"]
+        });
+    }
+
+    return rules;
+};
+
+const parseRules = () => {
+    if (!process.env.MODERATION_RULES) {
+        return defaultRules();
+    }
+    try {
+        return JSON.parse(process.env.MODERATION_RULES);
+    } catch (error) {
+        throw new Error(`Invalid MODERATION_RULES: ${error.message}`);
+    }
+};
+
+module.exports = {
+    enabled: process.env.MODERATION_ENABLED !== "false",
+    rules: parseRules().map(rule => ({ stages: ["input", "output"], ...rule })),
+
+    // Characters of a streamed response held back so that matches split
+    // across deltas are redacted before they are sent
+    streamHoldback: 128,
+    classifierTimeoutMs: parseInt(process.env.MODERATION_CLASSIFIER_TIMEOUT_MS) || 10000
+};
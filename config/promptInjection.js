@@ -0,0 +1,25 @@
+require("dotenv").config();
+
+const ACTIONS = ["log", "warn", "block"];
+
+const envAction = (name, fallback) => ACTIONS.includes(process.env[name]) ? process.env[name] : fallback;
+
+module.exports = {
+    // escape or strip the control tokens of the endpoint's prompt template
+    // found in message content
+    controlTokens: process.env.PROMPT_CONTROL_TOKENS === "strip" ? "strip" : "escape",
+
+    // Injection heuristics (services/promptInjection.js)
+    enabled: process.env.PROMPT_INJECTION_ENABLED !== "false",
+    // Score, between 0 and 1, from which text is treated as an injection attempt
+    threshold: process.env.PROMPT_INJECTION_THRESHOLD ? parseFloat(process.env.PROMPT_INJECTION_THRESHOLD) : 0.5,
+    // What to do about an attempt in the user's message and in passages of
+    // their documents:
+    //   log   - log it and count it in the metrics
+    //   warn  - also warn the client with a { warning } stream event
+    //   block - refuse the message, or leave the passage out of the prompt
+    actions: {
+        message: envAction("PROMPT_INJECTION_ACTION", "warn"),
+        document: envAction("PROMPT_INJECTION_DOCUMENT_ACTION", "block")
+    }
+};
@@ -0,0 +1,21 @@
+require("dotenv").config();
+
+// Parse a token limit; "unlimited" (or an empty value) means no limit
+const limit = (value, fallback) => {
+    if (value === undefined || value === "") return fallback;
+    if (value === "unlimited") return null;
+    return parseInt(value);
+};
+
+// Daily and monthly token quotas per role. null means unlimited.
+// Admins can override both limits for individual users.
+module.exports = {
+    user: {
+        dailyTokens: limit(process.env.QUOTA_USER_DAILY_TOKENS, 100000),
+        monthlyTokens: limit(process.env.QUOTA_USER_MONTHLY_TOKENS, 2000000)
+    },
+    admin: {
+        dailyTokens: limit(process.env.QUOTA_ADMIN_DAILY_TOKENS, null),
+        monthlyTokens: limit(process.env.QUOTA_ADMIN_MONTHLY_TOKENS, null)
+    }
+};
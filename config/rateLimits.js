@@ -0,0 +1,42 @@
+require("dotenv").config();
+
+const MINUTE = 60 * 1000;
+
+// Rate limiting policies. Each policy allows `max` requests per sliding
+// `windowMs`, counted separately for every key built from `keyBy`
+// ("ip", "user", "route", or a function of the request). With
+// `skipSuccessful`, only requests answered with an error status count.
+module.exports = {
+    // Every request, per client IP
+    global: {
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * MINUTE,
+        max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+        keyBy: ["ip"]
+    },
+    // Chat requests, per user
+    chat: {
+        windowMs: parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_MS) || 15 * MINUTE,
+        max: parseInt(process.env.CHAT_RATE_LIMIT_MAX_REQUESTS) || 100,
+        keyBy: ["user"]
+    },
+    // Failed logins per IP, to slow down credential stuffing
+    loginIp: {
+        windowMs: 15 * MINUTE,
+        max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX_IP) || 20,
+        keyBy: ["ip"],
+        skipSuccessful: true
+    },
+    // Failed logins per account, to slow down password guessing
+    loginAccount: {
+        windowMs: 15 * MINUTE,
+        max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX_ACCOUNT) || 5,
+        keyBy: [(req) => typeof req.body.email === "string" ? req.body.email.toLowerCase() : null],
+        skipSuccessful: true
+    },
+    // Registrations, refreshes and emails sent, per IP and route
+    authSensitive: {
+        windowMs: 60 * MINUTE,
+        max: 10,
+        keyBy: ["ip", "route"]
+    }
+};
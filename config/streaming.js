@@ -0,0 +1,23 @@
+require("dotenv").config();
+
+module.exports = {
+    // Interval of the comment lines keeping idle SSE connections open
+    heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS) || 15000,
+
+    // How long the events of a stream stay available for reconnecting clients
+    bufferTtlSeconds: parseInt(process.env.STREAM_BUFFER_TTL) || 300,
+
+    // How often a reconnected client checks for new events
+    pollMs: parseInt(process.env.STREAM_POLL_MS) || 250,
+
+    // How often an instance generating a response checks whether another
+    // instance was asked to stop it
+    stopPollMs: parseInt(process.env.STREAM_STOP_POLL_MS) || 500,
+
+    // How long generation continues after the client disconnects, waiting
+    // for it to reconnect
+    reconnectGraceMs: parseInt(process.env.STREAM_RECONNECT_GRACE_MS) || 10000,
+
+    // A reconnected client is ended after this long without new events
+    resumeIdleMs: parseInt(process.env.STREAM_RESUME_IDLE_MS) || 120000
+};
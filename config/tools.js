@@ -0,0 +1,22 @@
+require("dotenv").config();
+
+// Comma-separated list; empty means no restriction
+const envList = (name) => (process.env[name] || "").split(",").map(item => item.trim()).filter(Boolean);
+
+module.exports = {
+    // Offer server-side tools to models that support function calling
+    enabled: process.env.TOOLS_ENABLED !== "false",
+
+    // Tools each role may use (TOOLS_USER=current_time,calculator); all
+    // tools when not set
+    allowed: {
+        user: envList("TOOLS_USER"),
+        admin: envList("TOOLS_ADMIN")
+    },
+
+    // Rounds of tool calls per reply before the model must answer
+    maxRounds: parseInt(process.env.TOOL_MAX_ROUNDS) || 3,
+    timeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS) || 10000,
+    // Longest tool result passed back to the model, in characters
+    maxResultChars: parseInt(process.env.TOOL_MAX_RESULT_CHARS) || 8000
+};
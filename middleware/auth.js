@@ -1,26 +1,58 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { isAccessTokenRevoked } = require("../services/tokenService");
+const authConfig = require("../config/auth");
+const { setContext } = require("../utils/requestContext");
 
-const auth = async (req, res, next) => {
+const authError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Resolve the user of an access token. Throws an error with the HTTP
+// `status` to answer with when the token or the account cannot be used.
+const authenticate = async (token) => {
+    if (!token) {
+        throw authError(401, "Authentication required");
+    }
+
+    let decoded;
     try {
-        const token = req.header("Authorization")?.replace("Bearer ", "");
-        
-        if (!token) {
-            return res.status(401).json({ error: "Authentication required" });
-        }
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw authError(401, "Please authenticate");
+    }
+
+    if (await isAccessTokenRevoked(decoded)) {
+        throw authError(401, "Token has been revoked");
+    }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findOne({ _id: decoded.userId });
+    const user = await User.findOne({ _id: decoded.userId });
 
-        if (!user) {
-            return res.status(401).json({ error: "User not found" });
-        }
+    if (!user) {
+        throw authError(401, "User not found");
+    }
+
+    if (user.suspendedAt) {
+        throw authError(403, "Account suspended");
+    }
+
+    return { user, decoded };
+};
+
+const auth = async (req, res, next) => {
+    try {
+        const token = req.header("Authorization")?.replace("Bearer ", "");
+        const { user, decoded } = await authenticate(token);
 
         req.user = user;
         req.token = token;
+        req.tokenPayload = decoded;
+        setContext({ userId: user._id.toString() });
         next();
     } catch (error) {
-        res.status(401).json({ error: "Please authenticate" });
+        res.status(error.status || 401).json({ error: error.status ? error.message : "Please authenticate" });
     }
 };
 
@@ -37,4 +69,13 @@ const adminAuth = async (req, res, next) => {
     }
 };
 
-module.exports = { auth, adminAuth }; 
\ No newline at end of file
+// Block unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled.
+// Must run after `auth`.
+const requireVerifiedEmail = (req, res, next) => {
+    if (authConfig.requireEmailVerification && !req.user.emailVerified) {
+        return res.status(403).json({ error: "Email verification required" });
+    }
+    next();
+};
+
+module.exports = { auth, adminAuth, requireVerifiedEmail, authenticate }; 
\ No newline at end of file
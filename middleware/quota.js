@@ -0,0 +1,26 @@
+const { findExceededQuota } = require("../services/usageService");
+const logger = require("../utils/logger");
+
+// Reject requests from users who have used up their token quota.
+// Must run after `auth`.
+const enforceQuota = async (req, res, next) => {
+    try {
+        const exceeded = await findExceededQuota(req.user);
+
+        if (exceeded) {
+            res.setHeader("Retry-After", Math.ceil((exceeded.resetsAt - Date.now()) / 1000));
+            return res.status(429).json({
+                error: "Token quota exceeded",
+                message: `Your ${exceeded.period} token quota of ${exceeded.limit} has been used`,
+                quota: exceeded
+            });
+        }
+
+        next();
+    } catch (error) {
+        logger.error("Quota check error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+module.exports = { enforceQuota };
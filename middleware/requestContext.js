@@ -0,0 +1,57 @@
+const { randomUUID } = require("crypto");
+const logConfig = require("../config/logging");
+const { runWithContext } = require("../utils/requestContext");
+const logger = require("../utils/logger");
+
+// IDs accepted from X-Request-Id, so a proxy's or client's ID can be
+// followed through the logs without letting them inject into log lines
+const VALID_REQUEST_ID = /^[\w.:@-]{1,128}$/;
+
+const requestIdFrom = (header) => VALID_REQUEST_ID.test(header || "") ? header : randomUUID();
+
+// The route pattern that handled the request (e.g. /api/chat/:id/edit), or
+// its path when no route matched
+const routeOf = (req) => req.route
+    ? req.baseUrl + (typeof req.route.path === "string" ? req.route.path : "")
+    : req.originalUrl.split("?")[0];
+
+// Give each request an ID, echoed in X-Request-Id, and a context that
+// follows it through async calls so that log entries carry its ID, user and
+// route. Logs one access entry per request once the response is sent or the
+// client goes away.
+const requestContext = (req, res, next) => {
+    const requestId = requestIdFrom(req.get("X-Request-Id"));
+    const context = { requestId, method: req.method, route: req.originalUrl.split("?")[0] };
+    const start = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    if (logConfig.accessLog) {
+        let logged = false;
+        const logAccess = () => {
+            if (logged) return;
+            logged = true;
+
+            const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+            context.route = routeOf(req);
+            runWithContext(context, () => {
+                const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+                logger.log(level, `${req.method} ${context.route} ${res.statusCode} ${latencyMs.toFixed(1)}ms`, {
+                    type: "access",
+                    status: res.statusCode,
+                    latencyMs: Math.round(latencyMs * 10) / 10,
+                    completed: res.writableFinished,
+                    ip: req.ip,
+                    userAgent: req.get("User-Agent")
+                });
+            });
+        };
+        res.on("finish", logAccess);
+        res.on("close", logAccess);
+    }
+
+    runWithContext(context, next);
+};
+
+module.exports = { requestContext, requestIdFrom, routeOf };
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+const AuditLogSchema = new mongoose.Schema({
+    actor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    target_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        index: true
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
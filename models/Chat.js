@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+const ChatSchema = new mongoose.Schema({
+    user_id: { type: String, required: true },
+    conversation_id: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation", index: true },
+    // Position in the conversation tree (see services/chatTree.js)
+    parent_id: { type: mongoose.Schema.Types.ObjectId, ref: "Chat", default: null },
+    ancestors: { type: [mongoose.Schema.Types.ObjectId], index: true, default: undefined },
+    depth: { type: Number },
+    message: { type: String, required: true },
+    // Text the user received; partial unless the response completed
+    response: { type: String, default: "" },
+    status: { type: String, enum: ["completed", "stopped", "errored"], default: "completed" },
+    model: { type: String },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    // Sampling parameters the response was generated with
+    params: {
+        temperature: { type: Number },
+        topP: { type: Number },
+        maxTokens: { type: Number }
+    },
+    // Document passages retrieved for the message, numbered as cited
+    citations: {
+        type: [{
+            _id: false,
+            index: Number,
+            document_id: { type: mongoose.Schema.Types.ObjectId, ref: "Document" },
+            filename: String,
+            chunkIndex: Number,
+            score: Number
+        }],
+        default: undefined
+    },
+    // Moderation rules that matched the message or response (see
+    // services/moderation), and the admin review of flagged chats
+    moderation: {
+        flags: {
+            type: [{
+                _id: false,
+                stage: String,
+                rule: String,
+                action: String,
+                count: Number,
+                categories: { type: [String], default: undefined }
+            }],
+            default: undefined
+        },
+        // The response was withheld by an output rule
+        blocked: { type: Boolean },
+        review: {
+            status: { type: String, enum: ["pending", "approved", "removed"] },
+            reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            reviewedAt: { type: Date },
+            note: { type: String }
+        }
+    },
+    timestamp: { type: Date, default: Date.now }
+});
+
+// Cursor pagination of a user's history
+ChatSchema.index({ user_id: 1, timestamp: -1, _id: -1 });
+
+// Export, one conversation after another in time order
+ChatSchema.index({ user_id: 1, conversation_id: 1, timestamp: 1 });
+
+// Admin review queue
+ChatSchema.index({ "moderation.review.status": 1, timestamp: -1 }, { sparse: true });
+
+// Full-text search across messages and responses
+ChatSchema.index({ message: "text", response: "text" });
+
+module.exports = mongoose.model("Chat", ChatSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const ConversationSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200,
+        default: "New conversation"
+    },
+    // Selected persona and per-conversation sampling overrides
+    persona_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Persona"
+    },
+    settings: {
+        temperature: { type: Number },
+        topP: { type: Number },
+        maxTokens: { type: Number }
+    },
+    // Documents searched for context on every message
+    document_ids: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Document" }],
+        default: undefined
+    },
+    // Leaf of the active branch (see services/chatTree.js)
+    active_chat_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Chat"
+    },
+    summary: {
+        content: { type: String },
+        // Last chat covered by the summary, and its timestamp
+        coveredChatId: { type: mongoose.Schema.Types.ObjectId },
+        coveredUntil: { type: Date },
+        model: { type: String },
+        updatedAt: { type: Date }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Messages belonging to this conversation, oldest first
+ConversationSchema.virtual("messages", {
+    ref: "Chat",
+    localField: "_id",
+    foreignField: "conversation_id",
+    options: { sort: { timestamp: 1 } }
+});
+
+// Build a conversation title from the first message of a thread
+ConversationSchema.statics.titleFromMessage = function(message) {
+    const title = message.replace(/\s+/g, " ").trim();
+    return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+};
+
+module.exports = mongoose.model("Conversation", ConversationSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// A file uploaded for retrieval-augmented chat. Its text is split into
+// DocumentChunks, each embedded with `embeddingModel`.
+const DocumentSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    filename: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 255
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    chunkCount: {
+        type: Number,
+        default: 0
+    },
+    embeddingModel: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model("Document", DocumentSchema);
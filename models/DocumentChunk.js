@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// A passage of a Document and its embedding
+const DocumentChunkSchema = new mongoose.Schema({
+    document_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Document",
+        required: true,
+        index: true
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Position of the chunk in the document
+    index: {
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    embedding: {
+        type: [Number],
+        required: true
+    }
+});
+
+module.exports = mongoose.model("DocumentChunk", DocumentChunkSchema);
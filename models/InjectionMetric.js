@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Daily counts of prompt-injection checks per source (message or document)
+const InjectionMetricSchema = new mongoose.Schema({
+    // YYYY-MM-DD
+    date: {
+        type: String,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ["message", "document"],
+        required: true
+    },
+    checked: {
+        type: Number,
+        default: 0
+    },
+    // Scored at or above the threshold
+    detected: {
+        type: Number,
+        default: 0
+    },
+    blocked: {
+        type: Number,
+        default: 0
+    }
+});
+
+InjectionMetricSchema.index({ date: 1, source: 1 }, { unique: true });
+
+module.exports = mongoose.model("InjectionMetric", InjectionMetricSchema);
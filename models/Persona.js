@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// A reusable assistant configuration: system prompt, preferred model and
+// sampling parameters. Shared personas are published by admins for every
+// user; the others are private to their owner.
+const PersonaSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    systemPrompt: {
+        type: String,
+        default: ""
+    },
+    // One of the configured endpoint models, tried first
+    model: {
+        type: String
+    },
+    params: {
+        temperature: { type: Number },
+        topP: { type: Number },
+        maxTokens: { type: Number }
+    },
+    shared: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Personas a user may use: the shared ones and their own
+PersonaSchema.statics.visibleTo = function(userId) {
+    return { $or: [{ shared: true }, { user_id: userId }] };
+};
+
+module.exports = mongoose.model("Persona", PersonaSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const RefreshTokenSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    // SHA-256 of the token; the token itself is never stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // All tokens issued by rotating the same login share a family
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Let MongoDB remove expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// A tool call made by a model on behalf of a user
+const ToolExecutionSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    conversation_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Conversation"
+    },
+    // The reply the call was made for, set once it is saved
+    chat_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Chat"
+    },
+    tool: {
+        type: String,
+        required: true
+    },
+    arguments: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // denied: unknown tool or not allowed for the user's role
+    status: {
+        type: String,
+        enum: ["succeeded", "failed", "denied"],
+        required: true
+    },
+    error: {
+        type: String
+    },
+    durationMs: {
+        type: Number
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ToolExecutionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("ToolExecution", ToolExecutionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Token consumption of one user on one (UTC) day
+const UsageSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // YYYY-MM-DD
+    date: {
+        type: String,
+        required: true
+    },
+    requests: {
+        type: Number,
+        default: 0
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    totalTokens: {
+        type: Number,
+        default: 0
+    }
+});
+
+UsageSchema.index({ user_id: 1, date: 1 }, { unique: true });
+UsageSchema.index({ date: 1 });
+
+module.exports = mongoose.model("Usage", UsageSchema);
@@ -24,6 +24,30 @@ const UserSchema = new mongoose.Schema({
         enum: ["user", "admin"],
         default: "user"
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    passwordChangedAt: {
+        type: Date
+    },
+    suspendedAt: {
+        type: Date
+    },
+    suspendedReason: {
+        type: String
+    },
+    // Set by an admin; login is refused until the password is reset
+    passwordResetRequired: {
+        type: Boolean,
+        default: false
+    },
+    // Per-user token quota overrides set by an admin. Unset falls back to
+    // the role's quota; null means unlimited.
+    quota: {
+        dailyTokens: { type: Number, default: undefined },
+        monthlyTokens: { type: Number, default: undefined }
+    },
     lastLogin: {
         type: Date
     },
@@ -38,6 +62,10 @@ UserSchema.pre("save", async function(next) {
     if (!this.isModified("password")) return next();
     
     try {
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+        }
+
         const salt = await bcrypt.genSalt(10);
         this.password = await bcrypt.hash(this.password, salt);
         next();
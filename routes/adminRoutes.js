@@ -0,0 +1,489 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const User = require("../models/User");
+const Chat = require("../models/Chat");
+const AuditLog = require("../models/AuditLog");
+const Usage = require("../models/Usage");
+const InjectionMetric = require("../models/InjectionMetric");
+const { adminAuth } = require("../middleware/auth");
+const { revokeAllSessions } = require("../services/tokenService");
+const { sendPasswordResetEmail } = require("../services/accountEmails");
+const { recordAudit } = require("../services/auditLog");
+const { deleteUserData } = require("../services/userData");
+const { dayKey, limitsFor, getQuotaStatus } = require("../services/usageService");
+const { deleteCacheByPrefix } = require("../utils/cache");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(adminAuth);
+
+// Validation middleware
+const validateUserId = [
+    param("id").isMongoId().withMessage("Invalid user id")
+];
+
+const validatePagination = [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer").toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100").toInt()
+];
+
+const validateUserSearch = [
+    ...validatePagination,
+    query("q").optional().isString().trim(),
+    query("role").optional().isIn(["user", "admin"]).withMessage("Invalid role"),
+    query("status").optional().isIn(["active", "suspended"]).withMessage("Invalid status")
+];
+
+const validateRole = [
+    body("role").isIn(["user", "admin"]).withMessage("Role must be user or admin")
+];
+
+const validateSuspension = [
+    body("reason").optional().isString().trim().isLength({ max: 500 }).withMessage("Reason must be at most 500 characters")
+];
+
+// null means unlimited; omitting a field keeps the current value
+const validateQuota = [
+    body("dailyTokens").optional({ values: "undefined" }).custom(value => value === null || (Number.isInteger(value) && value >= 0))
+        .withMessage("dailyTokens must be a non-negative integer or null"),
+    body("monthlyTokens").optional({ values: "undefined" }).custom(value => value === null || (Number.isInteger(value) && value >= 0))
+        .withMessage("monthlyTokens must be a non-negative integer or null"),
+    body("reset").optional().isBoolean().withMessage("reset must be a boolean").toBoolean()
+];
+
+const validateDateRange = [
+    query("from").optional().isDate({ format: "YYYY-MM-DD", strictMode: true }).withMessage("from must be a YYYY-MM-DD date"),
+    query("to").optional().isDate({ format: "YYYY-MM-DD", strictMode: true }).withMessage("to must be a YYYY-MM-DD date"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100").toInt()
+];
+
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+// Admins cannot suspend, demote or delete themselves
+const rejectSelf = (req, res, next) => {
+    if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({ error: "You cannot perform this action on your own account" });
+    }
+    next();
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Search and paginate users
+router.get("/users", validateUserSearch, handleValidationErrors, async (req, res) => {
+    try {
+        const { q, role, status, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+        if (q) {
+            const pattern = new RegExp(escapeRegex(q), "i");
+            filter.$or = [{ email: pattern }, { name: pattern }];
+        }
+        if (role) {
+            filter.role = role;
+        }
+        if (status) {
+            filter.suspendedAt = status === "suspended" ? { $ne: null } : null;
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select("-password")
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            User.countDocuments(filter)
+        ]);
+
+        res.json({
+            users,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        logger.error("Admin search users error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Get a single user
+router.get("/users/:id", validateUserId, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select("-password");
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        res.json(user);
+    } catch (error) {
+        logger.error("Admin get user error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Change a user's role
+router.patch("/users/:id/role", validateUserId, validateRole, handleValidationErrors, rejectSelf, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        const previousRole = user.role;
+        user.role = req.body.role;
+        await user.save();
+
+        await recordAudit(req, "user.role_changed", user._id, { from: previousRole, to: user.role });
+
+        res.json({ message: "Role updated", role: user.role });
+    } catch (error) {
+        logger.error("Admin change role error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Get a user's token usage and effective quota
+router.get("/users/:id/quota", validateUserId, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        res.json({
+            override: user.quota || {},
+            quota: await getQuotaStatus(user)
+        });
+    } catch (error) {
+        logger.error("Admin get quota error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Override a user's token quota, or reset it to the role's quota
+router.patch("/users/:id/quota", validateUserId, validateQuota, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        const previous = limitsFor(user);
+        if (req.body.reset) {
+            user.quota = undefined;
+        } else {
+            for (const field of ["dailyTokens", "monthlyTokens"]) {
+                if (req.body[field] !== undefined) {
+                    user.set(`quota.${field}`, req.body[field]);
+                }
+            }
+        }
+        await user.save();
+
+        await recordAudit(req, "user.quota_changed", user._id, { from: previous, to: limitsFor(user) });
+
+        res.json({ message: "Quota updated", limits: limitsFor(user) });
+    } catch (error) {
+        logger.error("Admin change quota error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Suspend a user and end all of their sessions
+router.post("/users/:id/suspend", validateUserId, validateSuspension, handleValidationErrors, rejectSelf, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        user.suspendedAt = new Date();
+        user.suspendedReason = req.body.reason;
+        await user.save();
+        await revokeAllSessions(user._id);
+
+        await recordAudit(req, "user.suspended", user._id, { reason: req.body.reason });
+
+        res.json({ message: "User suspended" });
+    } catch (error) {
+        logger.error("Admin suspend user error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Reactivate a suspended user
+router.post("/users/:id/reactivate", validateUserId, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        user.suspendedAt = undefined;
+        user.suspendedReason = undefined;
+        await user.save();
+
+        await recordAudit(req, "user.reactivated", user._id);
+
+        res.json({ message: "User reactivated" });
+    } catch (error) {
+        logger.error("Admin reactivate user error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Require a password reset: end all sessions, block login and email a reset link
+router.post("/users/:id/force-password-reset", validateUserId, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        user.passwordResetRequired = true;
+        await user.save();
+        await revokeAllSessions(user._id);
+
+        await recordAudit(req, "user.password_reset_forced", user._id);
+
+        try {
+            await sendPasswordResetEmail(user);
+        } catch (error) {
+            logger.error("Password reset email error:", error);
+        }
+
+        res.json({ message: "Password reset required" });
+    } catch (error) {
+        logger.error("Admin force password reset error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Delete a user together with their conversations, chats and sessions
+router.delete("/users/:id", validateUserId, handleValidationErrors, rejectSelf, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        const deleted = await deleteUserData(user._id);
+        await revokeAllSessions(user._id);
+        await user.deleteOne();
+        await deleteCacheByPrefix(`chat_history:${user._id}:`);
+
+        await recordAudit(req, "user.deleted", user._id, {
+            email: user.email,
+            deletedChats: deleted.chats,
+            deletedConversations: deleted.conversations,
+            deletedDocuments: deleted.documents
+        });
+
+        res.json({ message: "User deleted" });
+    } catch (error) {
+        logger.error("Admin delete user error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Aggregate token usage over a date range (defaults to the current month)
+router.get("/usage", validateDateRange, handleValidationErrors, async (req, res) => {
+    try {
+        const { from = `${dayKey().slice(0, 7)}-01`, to = dayKey(), limit = 20 } = req.query;
+        const match = { date: { $gte: from, $lte: to } };
+
+        const sum = {
+            requests: { $sum: "$requests" },
+            promptTokens: { $sum: "$promptTokens" },
+            completionTokens: { $sum: "$completionTokens" },
+            totalTokens: { $sum: "$totalTokens" }
+        };
+
+        const [totals, byDay, topUsers] = await Promise.all([
+            Usage.aggregate([
+                { $match: match },
+                { $group: { _id: null, users: { $addToSet: "$user_id" }, ...sum } },
+                { $project: { _id: 0, users: { $size: "$users" }, requests: 1, promptTokens: 1, completionTokens: 1, totalTokens: 1 } }
+            ]),
+            Usage.aggregate([
+                { $match: match },
+                { $group: { _id: "$date", ...sum } },
+                { $sort: { _id: 1 } },
+                { $project: { _id: 0, date: "$_id", requests: 1, promptTokens: 1, completionTokens: 1, totalTokens: 1 } }
+            ]),
+            Usage.aggregate([
+                { $match: match },
+                { $group: { _id: "$user_id", ...sum } },
+                { $sort: { totalTokens: -1 } },
+                { $limit: limit },
+                { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+                { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+                {
+                    $project: {
+                        _id: 0,
+                        userId: "$_id",
+                        email: "$user.email",
+                        name: "$user.name",
+                        requests: 1,
+                        promptTokens: 1,
+                        completionTokens: 1,
+                        totalTokens: 1
+                    }
+                }
+            ])
+        ]);
+
+        res.json({
+            from,
+            to,
+            totals: totals[0] || { users: 0, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+            byDay,
+            topUsers
+        });
+    } catch (error) {
+        logger.error("Admin usage report error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// How often prompt-injection heuristics triggered over a date range
+// (defaults to the current month), per source
+router.get("/prompt-injection", validateDateRange, handleValidationErrors, async (req, res) => {
+    try {
+        const { from = `${dayKey().slice(0, 7)}-01`, to = dayKey() } = req.query;
+        const match = { date: { $gte: from, $lte: to } };
+
+        const sum = {
+            checked: { $sum: "$checked" },
+            detected: { $sum: "$detected" },
+            blocked: { $sum: "$blocked" }
+        };
+
+        const [bySource, byDay] = await Promise.all([
+            InjectionMetric.aggregate([
+                { $match: match },
+                { $group: { _id: "$source", ...sum } },
+                { $project: { _id: 0, source: "$_id", checked: 1, detected: 1, blocked: 1 } }
+            ]),
+            InjectionMetric.find(match)
+                .sort({ date: 1, source: 1 })
+                .select("-_id date source checked detected blocked")
+        ]);
+
+        res.json({ from, to, bySource, byDay });
+    } catch (error) {
+        logger.error("Admin prompt injection report error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Browse the audit log, newest first
+router.get("/audit-logs", validatePagination, [
+    query("action").optional().isString(),
+    query("targetId").optional().isMongoId().withMessage("Invalid target id")
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { action, targetId, page = 1, limit = 50 } = req.query;
+
+        const filter = {};
+        if (action) {
+            filter.action = action;
+        }
+        if (targetId) {
+            filter.target_id = targetId;
+        }
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("actor_id", "email name"),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.json({
+            logs,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        logger.error("Admin audit log error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Chats flagged by content moderation, newest first
+router.get("/moderation", validatePagination, [
+    query("status").optional().isIn(["pending", "approved", "removed"]).withMessage("Status must be pending, approved or removed")
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { status = "pending", page = 1, limit = 50 } = req.query;
+        const filter = { "moderation.review.status": status };
+
+        const [chats, total] = await Promise.all([
+            Chat.find(filter)
+                .sort({ timestamp: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Chat.countDocuments(filter)
+        ]);
+
+        res.json({
+            chats,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        logger.error("Admin moderation queue error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Review a flagged chat. Removing it replaces its message and response.
+router.patch("/moderation/:id", [
+    param("id").isMongoId().withMessage("Invalid chat id"),
+    body("status").isIn(["approved", "removed"]).withMessage("Status must be approved or removed"),
+    body("note").optional().isString().trim().isLength({ max: 500 }).withMessage("Note must be at most 500 characters")
+], handleValidationErrors, async (req, res) => {
+    try {
+        const chat = await Chat.findOne({ _id: req.params.id, "moderation.review.status": { $exists: true } });
+
+        if (!chat) {
+            return res.status(404).json({ error: "Flagged chat not found" });
+        }
+
+        chat.moderation.review = {
+            status: req.body.status,
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+            note: req.body.note
+        };
+        if (req.body.status === "removed") {
+            chat.message = "[removed by a moderator]";
+            chat.response = "";
+        }
+        await chat.save();
+
+        await recordAudit(req, "moderation.reviewed", chat._id, { status: req.body.status, userId: chat.user_id });
+        await deleteCacheByPrefix(`chat_history:${chat.user_id}:`);
+
+        res.json(chat);
+    } catch (error) {
+        logger.error("Admin moderation review error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const logger = require("../utils/logger");
-const { auth, adminAuth } = require("../middleware/auth");
+const { auth } = require("../middleware/auth");
+const { rateLimit } = require("../utils/rateLimiter");
+const {
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAccessToken,
+    revokeAllSessions,
+    verifyActionToken
+} = require("../services/tokenService");
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../services/accountEmails");
 
 const router = express.Router();
 
@@ -19,8 +28,39 @@ const validateLogin = [
     body("password").notEmpty().withMessage("Password is required")
 ];
 
+const validateRefreshToken = [
+    body("refreshToken").isString().notEmpty().withMessage("Refresh token is required")
+];
+
+const validateActionToken = [
+    body("token").isString().notEmpty().withMessage("Token is required")
+];
+
+const validateForgotPassword = [
+    body("email").isEmail().withMessage("Please enter a valid email")
+];
+
+const validateResetPassword = [
+    ...validateActionToken,
+    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters")
+];
+
+// Client details stored with each refresh token
+const sessionMeta = (req) => ({
+    userAgent: req.get("User-Agent"),
+    ip: req.ip
+});
+
+const userResponse = (user) => ({
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: user.emailVerified
+});
+
 // Register new user
-router.post("/register", validateRegistration, async (req, res) => {
+router.post("/register", rateLimit("authSensitive"), validateRegistration, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -44,21 +84,17 @@ router.post("/register", validateRegistration, async (req, res) => {
 
         await user.save();
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_SECRET,
-            { expiresIn: "24h" }
-        );
+        // Mail failures should not fail the registration
+        sendVerificationEmail(user).catch((error) => {
+            logger.error("Verification email error:", error);
+        });
+
+        // Issue access and refresh tokens
+        const tokens = await issueTokens(user, sessionMeta(req));
 
         res.status(201).json({
-            token,
-            user: {
-                id: user._id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            }
+            ...tokens,
+            user: userResponse(user)
         });
     } catch (error) {
         logger.error("Registration error:", error);
@@ -67,7 +103,7 @@ router.post("/register", validateRegistration, async (req, res) => {
 });
 
 // Login user
-router.post("/login", validateLogin, async (req, res) => {
+router.post("/login", rateLimit("loginIp"), rateLimit("loginAccount"), validateLogin, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -88,25 +124,24 @@ router.post("/login", validateLogin, async (req, res) => {
             return res.status(401).json({ error: "Invalid credentials" });
         }
 
+        if (user.suspendedAt) {
+            return res.status(403).json({ error: "Account suspended" });
+        }
+
+        if (user.passwordResetRequired) {
+            return res.status(403).json({ error: "Password reset required" });
+        }
+
         // Update last login
         user.lastLogin = new Date();
         await user.save();
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_SECRET,
-            { expiresIn: "24h" }
-        );
+        // Issue access and refresh tokens
+        const tokens = await issueTokens(user, sessionMeta(req));
 
         res.json({
-            token,
-            user: {
-                id: user._id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            }
+            ...tokens,
+            user: userResponse(user)
         });
     } catch (error) {
         logger.error("Login error:", error);
@@ -114,24 +149,163 @@ router.post("/login", validateLogin, async (req, res) => {
     }
 });
 
-// Get current user
-router.get("/me", auth, async (req, res) => {
+// Exchange a refresh token for a new token pair
+router.post("/refresh", rateLimit("authSensitive"), validateRefreshToken, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id).select("-password");
-        res.json(user);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await rotateRefreshToken(req.body.refreshToken, sessionMeta(req));
+        if (!result) {
+            return res.status(401).json({ error: "Invalid refresh token" });
+        }
+
+        const { userId, ...tokens } = result;
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(401).json({ error: "User not found" });
+        }
+
+        // Same checks as login; the session ends with the rotated token
+        if (user.suspendedAt || user.passwordResetRequired) {
+            await revokeRefreshToken(user._id, tokens.refreshToken);
+            return res.status(403).json({ error: user.suspendedAt ? "Account suspended" : "Password reset required" });
+        }
+
+        res.json({
+            ...tokens,
+            user: userResponse(user)
+        });
     } catch (error) {
-        logger.error("Get user error:", error);
+        logger.error("Token refresh error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Logout the current session
+router.post("/logout", auth, async (req, res) => {
+    try {
+        if (typeof req.body.refreshToken === "string") {
+            await revokeRefreshToken(req.user._id, req.body.refreshToken);
+        }
+        await revokeAccessToken(req.tokenPayload);
+
+        res.json({ message: "Logged out" });
+    } catch (error) {
+        logger.error("Logout error:", error);
         res.status(500).json({ error: "Server error" });
     }
 });
 
-// Admin: Get all users
-router.get("/users", auth, adminAuth, async (req, res) => {
+// Logout all sessions of the current user
+router.post("/logout-all", auth, async (req, res) => {
     try {
-        const users = await User.find().select("-password");
-        res.json(users);
+        await revokeAllSessions(req.user._id);
+
+        res.json({ message: "Logged out of all sessions" });
     } catch (error) {
-        logger.error("Get users error:", error);
+        logger.error("Logout all error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Verify an email address
+router.post("/verify-email", rateLimit("authSensitive"), validateActionToken, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await verifyActionToken(req.body.token, "email_verification");
+        if (!user) {
+            return res.status(400).json({ error: "Invalid or expired token" });
+        }
+
+        user.emailVerified = true;
+        await user.save();
+
+        res.json({ message: "Email verified" });
+    } catch (error) {
+        logger.error("Email verification error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Send a new verification email
+router.post("/resend-verification", auth, rateLimit("authSensitive"), async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({ error: "Email already verified" });
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.json({ message: "Verification email sent" });
+    } catch (error) {
+        logger.error("Resend verification error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Request a password reset email
+router.post("/forgot-password", rateLimit("authSensitive"), validateForgotPassword, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+
+        // Same response either way so accounts cannot be enumerated
+        res.json({ message: "If an account exists for this email, a reset link has been sent" });
+    } catch (error) {
+        logger.error("Forgot password error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Reset a password with a token from the reset email
+router.post("/reset-password", rateLimit("authSensitive"), validateResetPassword, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await verifyActionToken(req.body.token, "password_reset");
+        if (!user) {
+            return res.status(400).json({ error: "Invalid or expired token" });
+        }
+
+        user.password = req.body.password;
+        user.passwordResetRequired = false;
+        // Receiving the reset email proves ownership of the address
+        user.emailVerified = true;
+        await user.save();
+
+        await revokeAllSessions(user._id);
+
+        res.json({ message: "Password has been reset" });
+    } catch (error) {
+        logger.error("Reset password error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Get current user
+router.get("/me", auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select("-password");
+        res.json(user);
+    } catch (error) {
+        logger.error("Get user error:", error);
         res.status(500).json({ error: "Server error" });
     }
 });
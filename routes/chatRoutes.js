@@ -1,60 +1,77 @@
+const { once } = require("events");
 const express = require("express");
-const axios = require("axios");
-const { body, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const Chat = require("../models/Chat");
-const { auth } = require("../middleware/auth");
-const { getCache, setCache, deleteCache } = require("../utils/cache");
+const Conversation = require("../models/Conversation");
+const { auth, requireVerifiedEmail } = require("../middleware/auth");
+const { getStore, getCache, setCache, deleteCacheByPrefix } = require("../utils/cache");
+const { getProvider } = require("../services/llm");
+const { findConversation, moderateMessage, findChat, runChatStream, chatErrorResponse } = require("../services/chatStream");
+const { publishConversationChange } = require("../services/conversationEvents");
+const { stopStream } = require("../services/activeStreams");
+const { getStreamOwner, readEvents, markWatched } = require("../services/streamBuffer");
+const { startEventStream, writeEvent } = require("../utils/sse");
+const { getPathTo, getParentPath, getActivePath, getActiveChatIds, latestLeaf, withSiblings } = require("../services/chatTree");
+const { enforceQuota } = require("../middleware/quota");
+const { rateLimit } = require("../utils/rateLimiter");
+const { pickParams, samplingValidators } = require("../utils/samplingParams");
+const { encodeCursor, decodeCursor, afterCursor } = require("../utils/cursor");
+const { searchTerms, highlight } = require("../utils/highlight");
+const { FORMATS, exportChunks, parseImport, moderateImport } = require("../services/chatTransfer");
+const llmConfig = require("../config/llm");
+const streamingConfig = require("../config/streaming");
 const logger = require("../utils/logger");
 require("dotenv").config();
 
 const router = express.Router();
 
-// API configuration
-const PRIMARY_MODEL = "mistralai/Mistral-7B-Instruct-v0.2";
-const FALLBACK_MODEL = "meta-llama/Llama-2-7b-chat-hf";
-const HUGGINGFACE_API_URL = `https://api-inference.huggingface.co/models/${PRIMARY_MODEL}`;
-const FALLBACK_API_URL = `https://api-inference.huggingface.co/models/${FALLBACK_MODEL}`;
-const HUGGINGFACE_API_KEY = process.env.HUGGINGFACE_API_KEY;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Rate limiting configuration
-const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000; // 15 minutes
-const MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
-const rateLimitCache = new Map();
+// Validation middleware
+const validateChatRequest = [
+    body("message").trim().notEmpty().withMessage("Message cannot be empty"),
+    body("conversationId").optional().isMongoId().withMessage("Invalid conversation id")
+];
 
-// Rate limiting middleware
-const rateLimit = async (req, res, next) => {
-    const userId = req.user._id;
-    const now = Date.now();
-    
-    // Clean up old entries
-    for (const [key, value] of rateLimitCache.entries()) {
-        if (now - value.timestamp > RATE_LIMIT_WINDOW) {
-            rateLimitCache.delete(key);
-        }
-    }
+const validateChatId = [
+    param("id").isMongoId().withMessage("Invalid message id")
+];
 
-    // Check rate limit
-    const userLimit = rateLimitCache.get(userId);
-    if (userLimit) {
-        if (userLimit.count >= MAX_REQUESTS) {
-            return res.status(429).json({
-                error: "Rate limit exceeded",
-                message: `Please wait ${Math.ceil((RATE_LIMIT_WINDOW - (now - userLimit.timestamp)) / 1000)} seconds before trying again`
-            });
-        }
-        userLimit.count++;
-    } else {
-        rateLimitCache.set(userId, { count: 1, timestamp: now });
-    }
+const validateStreamId = [
+    param("streamId").isUUID().withMessage("Invalid stream id")
+];
 
-    next();
-};
+const validateResumeQuery = [
+    query("lastEventId").optional().isInt({ min: 0 }).withMessage("Invalid event id")
+];
 
-// Validation middleware
-const validateChatRequest = [
+const validateEditRequest = [
     body("message").trim().notEmpty().withMessage("Message cannot be empty")
 ];
 
+// Optional per-request sampling overrides, within the configured bounds
+const validateSamplingParams = samplingValidators();
+
+const validateHistoryQuery = [
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100").toInt(),
+    query("cursor").optional().isString().withMessage("Invalid cursor"),
+    query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date").toDate(),
+    query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date").toDate(),
+    query("q").optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage("Search query must be 1 to 200 characters"),
+    query("conversationId").optional().isMongoId().withMessage("Invalid conversation id")
+];
+
+const validateTransferFormat = [
+    query("format").optional().isIn(Object.keys(FORMATS)).withMessage(`Format must be one of ${Object.keys(FORMATS).join(", ")}`),
+    query("conversationId").optional().isMongoId().withMessage("Invalid conversation id")
+];
+
+// Markdown and JSONL imports are sent as plain text
+const parseImportText = express.text({
+    type: ["text/*", "application/x-ndjson", "application/jsonl"],
+    limit: "10mb"
+});
+
 // Error handling middleware
 const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -74,13 +91,13 @@ router.get("/test-env", async (req, res) => {
             },
             redis: {
                 connected: false,
-                error: null
+                error: null,
+                driver: getStore().name
             },
-            huggingface: {
+            llm: {
                 connected: false,
                 error: null,
-                url: HUGGINGFACE_API_URL,
-                fallbackUrl: FALLBACK_API_URL
+                endpoints: llmConfig.endpoints.map(({ provider, model }) => ({ provider, model }))
             },
             environment: process.env.NODE_ENV,
             frontendUrl: process.env.FRONTEND_URL,
@@ -103,21 +120,20 @@ router.get("/test-env", async (req, res) => {
             envStatus.redis.error = error.message;
         }
 
-        // Test HuggingFace connection
+        // Test connection to the primary model endpoint
         try {
-            await axios.post(HUGGINGFACE_API_URL, {
-                inputs: "Hello",
-                parameters: {
-                    max_new_tokens: 10
-                }
-            }, {
-                headers: {
-                    Authorization: `Bearer ${HUGGINGFACE_API_KEY}`
-                }
+            const [endpoint] = llmConfig.endpoints;
+            const stream = getProvider(endpoint.provider, endpoint.options).streamChat({
+                messages: [{ role: "user", content: "Hello" }],
+                model: endpoint.model,
+                params: { maxTokens: 10 },
+                timeout: endpoint.timeout
             });
-            envStatus.huggingface.connected = true;
+            await stream.next();
+            await stream.return();
+            envStatus.llm.connected = true;
         } catch (error) {
-            envStatus.huggingface.error = error.message;
+            envStatus.llm.error = error.message;
         }
 
         res.json(envStatus);
@@ -127,32 +143,77 @@ router.get("/test-env", async (req, res) => {
     }
 });
 
-// ✅ Fetch chat history for a user
-router.get("/history", auth, async (req, res) => {
+// ✅ Fetch chat history for a user, newest first
+router.get("/history", auth, validateHistoryQuery, handleValidationErrors, async (req, res) => {
     try {
-        const { page = 1, limit = 20 } = req.query;
+        const { limit = 20, cursor, from, to, q, conversationId } = req.query;
         const userId = req.user._id;
         
         // Try to get from cache first
-        const cacheKey = `chat_history:${userId}:${page}:${limit}`;
+        const cacheKey = `chat_history:${userId}:${JSON.stringify({ limit, cursor, from, to, q, conversationId })}`;
         const cachedData = await getCache(cacheKey);
         
         if (cachedData) {
             return res.status(200).json(cachedData);
         }
 
-        const chatHistory = await Chat.find({ user_id: userId })
-            .sort({ timestamp: -1 })
-            .limit(limit * 1)
-            .skip((page - 1) * limit)
-            .exec();
+        const conditions = [{ user_id: userId.toString() }];
+        if (conversationId) {
+            conditions.push({ conversation_id: conversationId });
+        }
+
+        // Only the active branch of each conversation, not the alternatives
+        // left behind by edits and regenerations
+        const conversations = await Conversation.find(conversationId
+            ? { _id: conversationId, user_id: userId }
+            : { user_id: userId }
+        ).select("active_chat_id").lean();
+        conditions.push({
+            $or: [
+                { depth: { $exists: false } },
+                { _id: { $in: await getActiveChatIds(conversations) } }
+            ]
+        });
+        if (from || to) {
+            const range = {};
+            if (from) range.$gte = from;
+            if (to) range.$lte = to;
+            conditions.push({ timestamp: range });
+        }
+        if (q) {
+            conditions.push({ $text: { $search: q } });
+        }
+        if (cursor) {
+            const position = decodeCursor(cursor);
+            if (!position) {
+                return res.status(400).json({ error: "Invalid cursor" });
+            }
+            conditions.push(afterCursor(position));
+        }
 
-        const total = await Chat.countDocuments({ user_id: userId });
+        // Fetch one extra document to know whether another page exists
+        const chatHistory = await Chat.find({ $and: conditions })
+            .sort({ timestamp: -1, _id: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = chatHistory.length > limit;
+        const chats = chatHistory.slice(0, limit);
+
+        if (q) {
+            const terms = searchTerms(q);
+            for (const chat of chats) {
+                chat.highlights = {
+                    message: highlight(chat.message, terms),
+                    response: highlight(chat.response, terms)
+                };
+            }
+        }
 
         const response = {
-            chats: chatHistory,
-            totalPages: Math.ceil(total / limit),
-            currentPage: page
+            chats,
+            nextCursor: hasMore ? encodeCursor(chats[chats.length - 1]) : null,
+            hasMore
         };
 
         // Cache the response for 5 minutes
@@ -168,165 +229,275 @@ router.get("/history", auth, async (req, res) => {
     }
 });
 
-// Chat endpoint for AI responses with streaming
-router.post("/", auth, validateChatRequest, handleValidationErrors, rateLimit, async (req, res) => {
-    const { message } = req.body;
-    const userId = req.user._id;
-
-    try {
-        logger.info(`New chat request from user ${userId}`);
+// The chats to export, one conversation after another, each following its
+// active branch: first those without a conversation, then the conversations
+// in the order they were created
+async function* exportedChats(userId, conversationId) {
+    if (!conversationId) {
+        yield* Chat.find({ user_id: userId.toString(), conversation_id: null })
+            .sort({ timestamp: 1 })
+            .lean()
+            .cursor();
+    }
 
-        // Set headers for SSE
-        res.setHeader("Content-Type", "text/event-stream");
-        res.setHeader("Cache-Control", "no-cache");
-        res.setHeader("Connection", "keep-alive");
+    const conversations = Conversation.find(conversationId ? { _id: conversationId, user_id: userId } : { user_id: userId })
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor();
+    for await (const conversation of conversations) {
+        yield* await getActivePath(conversation);
+    }
+}
 
-        // Retrieve past chat history (last 5 messages for context)
-        const chatHistory = await Chat.find({ user_id: userId })
-            .sort({ timestamp: -1 })
-            .limit(5);
+// Stream the user's history, or one conversation, as JSON, Markdown or JSONL
+router.get("/export", auth, validateTransferFormat, handleValidationErrors, async (req, res) => {
+    const { format = "json", conversationId } = req.query;
+    const userId = req.user._id;
 
-        // Format chat history for LLM
-        const messages = chatHistory.map(chat => [
-            { role: "user", content: chat.message },
-            { role: "assistant", content: chat.response }
-        ]).flat();
+    try {
+        if (conversationId) {
+            const conversation = await Conversation.exists({ _id: conversationId, user_id: userId });
+            if (!conversation) {
+                return res.status(404).json({ error: "Conversation not found" });
+            }
+        }
 
-        // Add the current message
-        messages.push({ role: "user", content: message });
+        const getConversation = (id) => Conversation.findOne({ _id: id, user_id: userId }).lean();
 
-        // Format prompt for Mistral
-        const prompt = messages.map(msg => 
-            `${msg.role === "user" ? "<s>[INST] " : ""}${msg.content}${msg.role === "user" ? " [/INST]" : ""}`
-        ).join("\n");
+        const { contentType, extension } = FORMATS[format];
+        res.setHeader("Content-Type", contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="chat-export-${new Date().toISOString().slice(0, 10)}.${extension}"`);
 
-        // Try primary model first
-        try {
-            const response = await axios.post(
-                HUGGINGFACE_API_URL,
-                {
-                    inputs: prompt,
-                    parameters: {
-                        max_new_tokens: 1000,
-                        temperature: 0.7,
-                        top_p: 0.95,
-                        return_full_text: false,
-                        stream: true
-                    }
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${HUGGINGFACE_API_KEY}`
-                    },
-                    responseType: "stream"
-                }
-            );
-
-            await handleStreamResponse(response, res, userId, message);
-        } catch (primaryError) {
-            logger.warn("Primary model failed, trying fallback:", primaryError.message);
-            
-            // Try fallback model
-            try {
-                const fallbackResponse = await axios.post(
-                    FALLBACK_API_URL,
-                    {
-                        inputs: prompt,
-                        parameters: {
-                            max_new_tokens: 1000,
-                            temperature: 0.7,
-                            top_p: 0.95,
-                            return_full_text: false,
-                            stream: true
-                        }
-                    },
-                    {
-                        headers: {
-                            Authorization: `Bearer ${HUGGINGFACE_API_KEY}`
-                        },
-                        responseType: "stream"
-                    }
-                );
-
-                await handleStreamResponse(fallbackResponse, res, userId, message);
-            } catch (fallbackError) {
-                logger.error("Both models failed:", fallbackError.message);
-                throw fallbackError;
+        for await (const chunk of exportChunks(format, exportedChats(userId, conversationId), getConversation)) {
+            if (!res.write(chunk)) {
+                await once(res, "drain");
             }
         }
+        res.end();
     } catch (error) {
-        logger.error("Chat error:", error);
-        
-        if (error.code === 'ECONNABORTED') {
-            return res.status(504).json({ 
-                error: "Request timeout",
-                message: "AI service took too long to respond" 
-            });
+        logger.error("Export error:", error);
+        if (res.headersSent) {
+            return res.destroy(error);
         }
-        
-        if (error.response) {
-            return res.status(error.response.status).json({ 
-                error: "AI service error",
-                message: error.response.data 
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Import conversations in one of the export formats
+router.post("/import", auth, parseImportText, validateTransferFormat, handleValidationErrors, async (req, res) => {
+    const { format = "json" } = req.query;
+    const userId = req.user._id;
+
+    try {
+        const parsed = parseImport(format, req.body);
+        const { conversations, blocked } = await moderateImport(parsed.conversations);
+
+        let chatCount = 0;
+        for (const { title, chats } of conversations) {
+            const conversation = await Conversation.create({
+                user_id: userId,
+                title,
+                createdAt: chats[0].timestamp,
+                updatedAt: chats[chats.length - 1].timestamp
             });
+
+            await Chat.insertMany(chats.map(chat => ({
+                ...chat,
+                user_id: userId.toString(),
+                conversation_id: conversation._id
+            })));
+            chatCount += chats.length;
+            publishConversationChange(userId, "created", conversation);
         }
-        
-        res.status(500).json({ 
-            error: "Server error",
-            message: error.message 
+
+        // Invalidate user's chat history cache
+        await deleteCacheByPrefix(`chat_history:${userId}:`);
+
+        res.status(201).json({
+            imported: { conversations: conversations.length, chats: chatCount },
+            skippedMessages: parsed.skipped,
+            blockedChats: blocked
         });
+    } catch (error) {
+        if (error.code === "INVALID_IMPORT") {
+            return res.status(400).json({ error: "Invalid import", message: error.message });
+        }
+        logger.error("Import error:", error);
+        res.status(500).json({ error: "Server error" });
     }
 });
 
-// Helper function to handle stream response
-async function handleStreamResponse(response, res, userId, message) {
-    let fullResponse = "";
-
-    response.data.on("data", chunk => {
-        const lines = chunk.toString().split("\n");
-        for (const line of lines) {
-            if (line.startsWith("data: ")) {
-                try {
-                    const data = JSON.parse(line.slice(6));
-                    if (data.generated_text) {
-                        const content = data.generated_text;
-                        fullResponse += content;
-                        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
-                    }
-                } catch (error) {
-                    logger.error("Error parsing streaming data:", error);
-                }
-            }
+// Chat endpoint for AI responses with streaming
+router.post("/", auth, requireVerifiedEmail, validateChatRequest, validateSamplingParams, handleValidationErrors, rateLimit("chat"), enforceQuota, async (req, res) => {
+    const { conversationId } = req.body;
+    const userId = req.user._id;
+
+    try {
+        logger.info(`New chat request from user ${userId}`);
+
+        // Moderate the message before it is stored anywhere
+        const moderation = await moderateMessage(userId, req.body.message);
+        const message = moderation.text;
+
+        // Continue the selected thread, or start a new one
+        const conversation = await findConversation(userId, conversationId, message);
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
         }
-    });
 
-    response.data.on("end", async () => {
-        try {
-            // Save chat to MongoDB
-            const chatEntry = new Chat({ 
-                user_id: userId, 
-                message, 
-                response: fullResponse 
-            });
-            await chatEntry.save();
+        // New messages continue the active branch
+        const path = await getActivePath(conversation);
 
-            // Invalidate user's chat history cache
-            await deleteCache(`chat_history:${userId}:*`);
+        await streamReply(req, res, { conversation, path, message, moderation });
+    } catch (error) {
+        handleChatError(res, error);
+    }
+});
 
-            res.write("data: [DONE]\n\n");
-            res.end();
-        } catch (error) {
-            logger.error("Error saving chat:", error);
-            res.write(`data: ${JSON.stringify({ error: "Error saving chat" })}\n\n`);
-            res.end();
+// Generate another response to a message, kept as a sibling of the
+// existing one and made the active branch
+router.post("/:id/regenerate", auth, requireVerifiedEmail, validateChatId, validateSamplingParams, handleValidationErrors, rateLimit("chat"), enforceQuota, async (req, res) => {
+    try {
+        const { chat, conversation } = await findChat(req.params.id, req.user._id);
+        if (!chat) {
+            return res.status(404).json({ error: "Message not found" });
+        }
+
+        const path = await getParentPath(chat);
+        await streamReply(req, res, { conversation, path, message: chat.message });
+    } catch (error) {
+        handleChatError(res, error);
+    }
+});
+
+// Edit a message: the new text starts a sibling branch from the same point
+// and the original message and its replies stay available
+router.post("/:id/edit", auth, requireVerifiedEmail, validateChatId, validateEditRequest, validateSamplingParams, handleValidationErrors, rateLimit("chat"), enforceQuota, async (req, res) => {
+    try {
+        const { chat, conversation } = await findChat(req.params.id, req.user._id);
+        if (!chat) {
+            return res.status(404).json({ error: "Message not found" });
+        }
+
+        const moderation = await moderateMessage(req.user._id, req.body.message);
+        const path = await getParentPath(chat);
+        await streamReply(req, res, { conversation, path, message: moderation.text, moderation });
+    } catch (error) {
+        handleChatError(res, error);
+    }
+});
+
+// Switch the conversation to the branch containing a message, continuing
+// from its most recent reply
+router.post("/:id/select", auth, validateChatId, handleValidationErrors, async (req, res) => {
+    try {
+        const { chat, conversation } = await findChat(req.params.id, req.user._id);
+        if (!chat) {
+            return res.status(404).json({ error: "Message not found" });
         }
+
+        const leaf = await latestLeaf(chat);
+        conversation.active_chat_id = leaf._id;
+        await conversation.save();
+        publishConversationChange(req.user._id, "updated", conversation);
+        await deleteCacheByPrefix(`chat_history:${req.user._id}:`);
+
+        const path = await withSiblings(await getPathTo(leaf));
+        res.json({ conversationId: conversation._id, activeChatId: leaf._id, messages: path });
+    } catch (error) {
+        logger.error("Select branch error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Stop a response being generated. The text streamed so far is saved with
+// status "stopped".
+router.post("/:streamId/stop", auth, validateStreamId, handleValidationErrors, async (req, res) => {
+    if (!(await stopStream(req.params.streamId, req.user._id))) {
+        return res.status(404).json({ error: "Stream not found" });
+    }
+    res.json({ message: "Stream stopped" });
+});
+
+// Generate a reply and relay it to the client as server-sent events, which
+// it can reconnect to through GET /stream/:streamId
+async function streamReply(req, res, { conversation, path, message, moderation }) {
+    const disconnected = new AbortController();
+    res.on("close", () => {
+        if (!res.writableFinished) disconnected.abort();
     });
 
-    response.data.on("error", error => {
-        logger.error("Stream error:", error);
-        res.write(`data: ${JSON.stringify({ error: "Stream error" })}\n\n`);
-        res.end();
+    await runChatStream({
+        user: req.user,
+        conversation,
+        path,
+        message,
+        moderation,
+        overrides: pickParams(req.body),
+        signal: disconnected.signal,
+        onStart: () => startEventStream(res),
+        deliver: (payload, id) => writeEvent(res, typeof payload === "string" ? payload : JSON.stringify(payload), id)
     });
+    res.end();
+}
+
+// Replay the events of a stream after `Last-Event-ID` (header, or
+// `lastEventId` query parameter for clients that cannot set it), then follow
+// it until it ends
+router.get("/stream/:streamId", auth, validateStreamId, validateResumeQuery, handleValidationErrors, async (req, res) => {
+    const { streamId } = req.params;
+    let lastEventId = parseInt(req.get("Last-Event-ID") || req.query.lastEventId) || 0;
+
+    try {
+        const owner = await getStreamOwner(streamId);
+        if (owner !== req.user._id.toString()) {
+            return res.status(404).json({ error: "Stream not found" });
+        }
+
+        let closed = false;
+        res.on("close", () => { closed = true; });
+        startEventStream(res);
+
+        let idleSince = Date.now();
+        while (!closed && Date.now() - idleSince < streamingConfig.resumeIdleMs) {
+            await markWatched(streamId);
+
+            const events = await readEvents(streamId, lastEventId);
+            for (const { id, data } of events) {
+                writeEvent(res, data, id);
+                lastEventId = id;
+                if (data === "[DONE]") {
+                    return res.end();
+                }
+            }
+
+            if (events.length) {
+                idleSince = Date.now();
+            } else {
+                await sleep(streamingConfig.pollMs);
+            }
+        }
+        res.end();
+    } catch (error) {
+        logger.error("Resume stream error:", error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+function handleChatError(res, error) {
+    logger.error("Chat error:", error);
+
+    // The SSE stream is already open, so report the failure as an event
+    if (res.headersSent) {
+        res.write(`data: ${JSON.stringify({ error: "AI service error", message: error.message })}\n\n`);
+        return res.end();
+    }
+
+    const { status, body } = chatErrorResponse(error);
+    res.status(status).json(body);
 }
 
-module.exports = router;
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,292 @@
+const { URL } = require("url");
+const mongoose = require("mongoose");
+const { WebSocketServer } = require("ws");
+const { authenticate } = require("../middleware/auth");
+const { checkRateLimit } = require("../utils/rateLimiter");
+const { PARAM_NAMES, checkParam, pickParams } = require("../utils/samplingParams");
+const { findExceededQuota } = require("../services/usageService");
+const { findConversation, moderateMessage, findChat, runChatStream, chatErrorResponse } = require("../services/chatStream");
+const { getActivePath, getParentPath } = require("../services/chatTree");
+const { stopStream } = require("../services/activeStreams");
+const { requestIdFrom } = require("../middleware/requestContext");
+const { runWithContext } = require("../utils/requestContext");
+const { subscribeConversationChanges } = require("../services/conversationEvents");
+const authConfig = require("../config/auth");
+const streamingConfig = require("../config/streaming");
+const logger = require("../utils/logger");
+
+// WebSocket transport for chat at /api/chat/ws, sharing the pipeline, rate
+// limits, quotas and persistence of POST /api/chat.
+//
+// Authenticate with `Authorization: Bearer <token>` or a `token` query
+// parameter; send { type: "auth", token } to replace an expiring token.
+// Client messages (`requestId` is echoed back):
+//   { type: "chat", requestId, message, conversationId?, temperature?, topP?, maxTokens? }
+//   { type: "regenerate", requestId, chatId, temperature?, topP?, maxTokens? }
+//   { type: "stop", requestId, streamId }
+// Server messages:
+//   { type: "event", requestId, id, data } - the events of POST /api/chat,
+//     e.g. data = { choices: [{ delta: { content } }] }, ending with "[DONE]"
+//   { type: "stopped", requestId, streamId }
+//   { type: "authenticated", requestId }
+//   { type: "error", requestId, status, error, message }
+//   { type: "conversation", action, conversationId, title, updatedAt }
+
+const PATH = "/api/chat/ws";
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const isObjectId = (value) => typeof value === "string" && mongoose.isValidObjectId(value);
+
+// Check a client message, returning an error message or null
+const validateRequest = (request) => {
+    if (!request || typeof request !== "object" || typeof request.type !== "string") {
+        return "Invalid message";
+    }
+
+    const { type, message, conversationId, chatId, streamId } = request;
+
+    if (type === "chat") {
+        if (typeof message !== "string" || !message.trim()) return "Message cannot be empty";
+        if (conversationId !== undefined && !isObjectId(conversationId)) return "Invalid conversation id";
+    } else if (type === "regenerate") {
+        if (!isObjectId(chatId)) return "Invalid message id";
+    } else if (type === "stop") {
+        if (typeof streamId !== "string") return "Invalid stream id";
+        return null;
+    } else if (type === "auth") {
+        return typeof request.token === "string" ? null : "Invalid token";
+    } else {
+        return `Unknown message type: ${type}`;
+    }
+
+    for (const name of PARAM_NAMES) {
+        const error = request[name] === undefined ? null : checkParam(name, request[name]);
+        if (error) return error;
+    }
+
+    return null;
+};
+
+const tokenFrom = (req) => {
+    const header = req.headers.authorization;
+    if (header) {
+        return header.replace("Bearer ", "");
+    }
+    return new URL(req.url, "http://localhost").searchParams.get("token");
+};
+
+const rejectUpgrade = (socket, status, message) => {
+    const body = JSON.stringify({ error: message });
+    socket.write(
+        `HTTP/1.1 ${status} ${message}\r\n` +
+        "Content-Type: application/json\r\n" +
+        `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+        "Connection: close\r\n\r\n" +
+        body
+    );
+    socket.destroy();
+};
+
+const createClient = (ws, user, token, connectionId) => ({
+    ws,
+    user,
+    token,
+    // Request ID of the upgrade request, shared by the log entries of the
+    // connection's messages
+    connectionId,
+    // Disconnect signals of the streams started on this connection
+    streams: new Set(),
+    send: (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+});
+
+const sendError = (client, requestId, status, error, message) => {
+    client.send({ type: "error", requestId, status, error, message });
+};
+
+// The checks run by the middleware chain of POST /api/chat
+const admitChatRequest = async (client, requestId) => {
+    // Revoked tokens and suspended accounts take effect on open connections
+    try {
+        client.user = (await authenticate(client.token)).user;
+    } catch (error) {
+        sendError(client, requestId, error.status || 401, error.status ? error.message : "Please authenticate");
+        return false;
+    }
+
+    if (authConfig.requireEmailVerification && !client.user.emailVerified) {
+        sendError(client, requestId, 403, "Email verification required");
+        return false;
+    }
+
+    const limit = await checkRateLimit("chat", { user: client.user });
+    if (limit && !limit.allowed) {
+        sendError(client, requestId, 429, "Rate limit exceeded", `Please wait ${limit.resetSeconds} seconds before trying again`);
+        return false;
+    }
+
+    const exceeded = await findExceededQuota(client.user);
+    if (exceeded) {
+        sendError(client, requestId, 429, "Token quota exceeded", `Your ${exceeded.period} token quota of ${exceeded.limit} has been used`);
+        return false;
+    }
+
+    return true;
+};
+
+const streamToClient = async (client, requestId, { conversation, path, message, moderation, overrides }) => {
+    const disconnected = new AbortController();
+    client.streams.add(disconnected);
+
+    try {
+        await runChatStream({
+            user: client.user,
+            conversation,
+            path,
+            message,
+            moderation,
+            overrides,
+            signal: disconnected.signal,
+            deliver: (data, id) => client.send({ type: "event", requestId, id, data })
+        });
+    } finally {
+        client.streams.delete(disconnected);
+    }
+};
+
+const handlers = {
+    auth: async (client, { requestId, token }) => {
+        try {
+            const { user } = await authenticate(token);
+            if (!user._id.equals(client.user._id)) {
+                return sendError(client, requestId, 403, "Token belongs to another user");
+            }
+            client.user = user;
+            client.token = token;
+            client.send({ type: "authenticated", requestId });
+        } catch (error) {
+            sendError(client, requestId, error.status || 401, error.status ? error.message : "Please authenticate");
+        }
+    },
+
+    chat: async (client, request) => {
+        const { requestId, conversationId } = request;
+        if (!(await admitChatRequest(client, requestId))) return;
+
+        const moderation = await moderateMessage(client.user._id, request.message.trim());
+        const message = moderation.text;
+
+        const conversation = await findConversation(client.user._id, conversationId, message);
+        if (!conversation) {
+            return sendError(client, requestId, 404, "Conversation not found");
+        }
+
+        const path = await getActivePath(conversation);
+        await streamToClient(client, requestId, { conversation, path, message, moderation, overrides: pickParams(request) });
+    },
+
+    regenerate: async (client, request) => {
+        const { requestId, chatId } = request;
+        if (!(await admitChatRequest(client, requestId))) return;
+
+        const { chat, conversation } = await findChat(chatId, client.user._id);
+        if (!chat) {
+            return sendError(client, requestId, 404, "Message not found");
+        }
+
+        const path = await getParentPath(chat);
+        await streamToClient(client, requestId, { conversation, path, message: chat.message, overrides: pickParams(request) });
+    },
+
+    stop: async (client, { requestId, streamId }) => {
+        if (!(await stopStream(streamId, client.user._id))) {
+            return sendError(client, requestId, 404, "Stream not found");
+        }
+        client.send({ type: "stopped", requestId, streamId });
+    }
+};
+
+const handleMessage = async (client, raw) => {
+    let request;
+    try {
+        request = JSON.parse(raw);
+    } catch (error) {
+        return sendError(client, undefined, 400, "Invalid JSON");
+    }
+
+    const invalid = validateRequest(request);
+    if (invalid) {
+        return sendError(client, request?.requestId, 400, "Invalid request", invalid);
+    }
+
+    try {
+        await handlers[request.type](client, request);
+    } catch (error) {
+        logger.error("WebSocket chat error:", error);
+        const { status, body } = chatErrorResponse(error);
+        sendError(client, request.requestId, status, body.error, body.message);
+    }
+};
+
+// Accept WebSocket connections on `server`
+const attachChatSocket = (server) => {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+    server.on("upgrade", async (req, socket, head) => {
+        if (new URL(req.url, "http://localhost").pathname !== PATH) {
+            return socket.destroy();
+        }
+
+        let user;
+        try {
+            ({ user } = await authenticate(tokenFrom(req)));
+        } catch (error) {
+            return rejectUpgrade(socket, error.status || 401, error.status ? error.message : "Please authenticate");
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            wss.emit("connection", ws, req, user);
+        });
+    });
+
+    wss.on("connection", (ws, req, user) => {
+        const client = createClient(ws, user, tokenFrom(req), requestIdFrom(req.headers["x-request-id"]));
+        const unsubscribe = subscribeConversationChanges(user._id.toString(), (change) => {
+            client.send({ type: "conversation", ...change });
+        });
+
+        ws.isAlive = true;
+        ws.on("pong", () => { ws.isAlive = true; });
+        ws.on("message", (raw) => runWithContext(
+            { requestId: client.connectionId, userId: client.user._id.toString(), route: PATH },
+            () => handleMessage(client, raw.toString())
+        ));
+        ws.on("close", () => {
+            unsubscribe();
+            for (const stream of client.streams) {
+                stream.abort();
+            }
+        });
+        ws.on("error", (error) => logger.error("WebSocket error:", error));
+    });
+
+    // Drop connections that stop answering pings
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, streamingConfig.heartbeatMs);
+    wss.on("close", () => clearInterval(heartbeat));
+
+    return wss;
+};
+
+module.exports = { attachChatSocket, validateRequest };
@@ -0,0 +1,256 @@
+const express = require("express");
+const { body, param, validationResult } = require("express-validator");
+const Conversation = require("../models/Conversation");
+const Chat = require("../models/Chat");
+const Persona = require("../models/Persona");
+const Document = require("../models/Document");
+const documentConfig = require("../config/documents");
+const { auth } = require("../middleware/auth");
+const { enforceQuota } = require("../middleware/quota");
+const { rateLimit } = require("../utils/rateLimiter");
+const { deleteCacheByPrefix } = require("../utils/cache");
+const { PARAM_NAMES, samplingValidators } = require("../utils/samplingParams");
+const { regenerateSummary } = require("../services/chatContext");
+const { resolveSettings } = require("../services/chatPipeline");
+const { getActivePath, withSiblings } = require("../services/chatTree");
+const { publishConversationChange } = require("../services/conversationEvents");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Validation middleware
+const validateConversationId = [
+    param("id").isMongoId().withMessage("Invalid conversation id")
+];
+
+// personaId and the sampling parameters accept null to go back to the defaults
+const validateConversation = [
+    body("title")
+        .optional()
+        .trim()
+        .notEmpty().withMessage("Title cannot be empty")
+        .isLength({ max: 200 }).withMessage("Title must be at most 200 characters"),
+    body("personaId").optional({ values: "null" }).isMongoId().withMessage("Invalid persona id"),
+    ...samplingValidators({ nullable: true })
+];
+
+// Apply the persona and sampling settings of the request body. Resolves with
+// false when the persona is not available to the user.
+const applySettings = async (conversation, changes, userId) => {
+    if (changes.personaId !== undefined) {
+        if (changes.personaId !== null && !(await Persona.exists({ _id: changes.personaId, ...Persona.visibleTo(userId) }))) {
+            return false;
+        }
+        conversation.persona_id = changes.personaId || undefined;
+    }
+    for (const name of PARAM_NAMES) {
+        if (changes[name] !== undefined) {
+            conversation.settings[name] = changes[name] === null ? undefined : changes[name];
+        }
+    }
+    return true;
+};
+
+const validateDocumentAttachment = [
+    body("documentId").isMongoId().withMessage("Invalid document id")
+];
+
+const validateDocumentId = [
+    param("documentId").isMongoId().withMessage("Invalid document id")
+];
+
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+// List the current user's conversations, most recently active first
+router.get("/", auth, async (req, res) => {
+    try {
+        const conversations = await Conversation.find({ user_id: req.user._id })
+            .sort({ updatedAt: -1 });
+        res.json(conversations);
+    } catch (error) {
+        logger.error("Get conversations error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Create a new conversation
+router.post("/", auth, validateConversation, handleValidationErrors, async (req, res) => {
+    try {
+        const conversation = new Conversation({
+            user_id: req.user._id,
+            title: req.body.title
+        });
+        if (!(await applySettings(conversation, req.body, req.user._id))) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+        await conversation.save();
+        publishConversationChange(req.user._id, "created", conversation);
+
+        res.status(201).json(conversation);
+    } catch (error) {
+        logger.error("Create conversation error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Get a conversation with the messages of its active branch in order. Each
+// message lists its siblings (edits and regenerations at the same point).
+router.get("/:id", auth, validateConversationId, handleValidationErrors, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, user_id: req.user._id });
+
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
+        }
+
+        const messages = await withSiblings(await getActivePath(conversation));
+        res.json({ ...conversation.toJSON(), messages });
+    } catch (error) {
+        logger.error("Get conversation error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Rename a conversation or change its persona and sampling settings
+router.patch("/:id", auth, validateConversationId, validateConversation, handleValidationErrors, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, user_id: req.user._id });
+
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
+        }
+
+        if (req.body.title !== undefined) {
+            conversation.title = req.body.title;
+        }
+        if (!(await applySettings(conversation, req.body, req.user._id))) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+        conversation.updatedAt = new Date();
+        await conversation.save();
+
+        publishConversationChange(req.user._id, "updated", conversation);
+        res.json(conversation);
+    } catch (error) {
+        logger.error("Update conversation error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Get the rolling summary of a conversation's older turns
+router.get("/:id/summary", auth, validateConversationId, handleValidationErrors, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, user_id: req.user._id });
+
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
+        }
+
+        res.json({ summary: conversation.summary?.content ? conversation.summary : null });
+    } catch (error) {
+        logger.error("Get summary error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Regenerate the summary from scratch
+router.post("/:id/summary", auth, validateConversationId, handleValidationErrors, rateLimit("chat"), enforceQuota, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, user_id: req.user._id });
+
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
+        }
+
+        const { endpoints } = await resolveSettings(conversation);
+        const summary = await regenerateSummary(conversation, endpoints);
+        res.json({ summary: summary?.content ? summary : null });
+    } catch (error) {
+        logger.error("Regenerate summary error:", error);
+        res.status(500).json({ error: "Failed to generate summary" });
+    }
+});
+
+// Attach one of the user's documents, whose passages are then retrieved as
+// context for the conversation's messages
+router.post("/:id/documents", auth, validateConversationId, validateDocumentAttachment, handleValidationErrors, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, user_id: req.user._id });
+
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
+        }
+        if (!(await Document.exists({ _id: req.body.documentId, user_id: req.user._id }))) {
+            return res.status(404).json({ error: "Document not found" });
+        }
+
+        const documentIds = conversation.document_ids || [];
+        if (!documentIds.some(id => id.equals(req.body.documentId))) {
+            if (documentIds.length >= documentConfig.maxPerConversation) {
+                return res.status(400).json({ error: `A conversation can have at most ${documentConfig.maxPerConversation} documents` });
+            }
+            conversation.document_ids = [...documentIds, req.body.documentId];
+            conversation.updatedAt = new Date();
+            await conversation.save();
+            publishConversationChange(req.user._id, "updated", conversation);
+        }
+
+        res.json(conversation);
+    } catch (error) {
+        logger.error("Attach document error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.delete("/:id/documents/:documentId", auth, validateConversationId, validateDocumentId, handleValidationErrors, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, user_id: req.user._id });
+
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
+        }
+        if (!conversation.document_ids?.some(id => id.equals(req.params.documentId))) {
+            return res.status(404).json({ error: "Document not attached" });
+        }
+
+        conversation.document_ids = conversation.document_ids.filter(id => !id.equals(req.params.documentId));
+        conversation.updatedAt = new Date();
+        await conversation.save();
+        publishConversationChange(req.user._id, "updated", conversation);
+
+        res.json(conversation);
+    } catch (error) {
+        logger.error("Detach document error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Delete a conversation and all of its messages
+router.delete("/:id", auth, validateConversationId, handleValidationErrors, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, user_id: req.user._id });
+
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
+        }
+
+        await Chat.deleteMany({ conversation_id: conversation._id });
+        publishConversationChange(req.user._id, "deleted", conversation);
+
+        // Invalidate user's chat history cache
+        await deleteCacheByPrefix(`chat_history:${req.user._id}:`);
+
+        res.json({ message: "Conversation deleted" });
+    } catch (error) {
+        logger.error("Delete conversation error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
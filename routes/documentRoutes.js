@@ -0,0 +1,112 @@
+const express = require("express");
+const { param, query, validationResult } = require("express-validator");
+const Document = require("../models/Document");
+const Conversation = require("../models/Conversation");
+const { auth } = require("../middleware/auth");
+const documentConfig = require("../config/documents");
+const { SUPPORTED_TYPES } = require("../services/documentText");
+const { ingestDocument, deleteDocument } = require("../services/documentService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Validation middleware
+const validateDocumentId = [
+    param("id").isMongoId().withMessage("Invalid document id")
+];
+
+const validateUpload = [
+    query("filename").isString().trim().isLength({ min: 1, max: 255 }).withMessage("filename must be 1 to 255 characters")
+];
+
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+// Documents are uploaded as the raw file with its content type
+const parseDocument = express.raw({ type: SUPPORTED_TYPES, limit: documentConfig.maxBytes });
+
+const parseUpload = (req, res, next) => parseDocument(req, res, (error) => {
+    if (error?.type === "entity.too.large") {
+        return res.status(413).json({ error: "Document too large", message: `Documents are limited to ${documentConfig.maxBytes} bytes` });
+    }
+    next(error);
+});
+
+// List the user's documents, newest first
+router.get("/", auth, async (req, res) => {
+    try {
+        const documents = await Document.find({ user_id: req.user._id }).sort({ createdAt: -1 });
+        res.json(documents);
+    } catch (error) {
+        logger.error("Get documents error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Upload a document: the file is the request body, named by ?filename=
+router.post("/", auth, parseUpload, validateUpload, handleValidationErrors, async (req, res) => {
+    const contentType = req.is(SUPPORTED_TYPES);
+    if (!contentType || !Buffer.isBuffer(req.body)) {
+        return res.status(415).json({ error: "Unsupported document type", message: `Supported types: ${SUPPORTED_TYPES.join(", ")}` });
+    }
+
+    try {
+        const document = await ingestDocument({
+            userId: req.user._id,
+            filename: req.query.filename,
+            contentType,
+            buffer: req.body
+        });
+        res.status(201).json(document);
+    } catch (error) {
+        if (error.code === "EMPTY_DOCUMENT") {
+            return res.status(400).json({ error: "Empty document", message: error.message });
+        }
+        logger.error("Upload document error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.get("/:id", auth, validateDocumentId, handleValidationErrors, async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.id, user_id: req.user._id });
+
+        if (!document) {
+            return res.status(404).json({ error: "Document not found" });
+        }
+
+        res.json(document);
+    } catch (error) {
+        logger.error("Get document error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Delete a document and detach it from the user's conversations
+router.delete("/:id", auth, validateDocumentId, handleValidationErrors, async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.id, user_id: req.user._id });
+
+        if (!document) {
+            return res.status(404).json({ error: "Document not found" });
+        }
+
+        await deleteDocument(document);
+        await Conversation.updateMany(
+            { user_id: req.user._id, document_ids: document._id },
+            { $pull: { document_ids: document._id } }
+        );
+
+        res.json({ message: "Document deleted" });
+    } catch (error) {
+        logger.error("Delete document error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
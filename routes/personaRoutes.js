@@ -0,0 +1,167 @@
+const express = require("express");
+const { body, param, validationResult } = require("express-validator");
+const Persona = require("../models/Persona");
+const Conversation = require("../models/Conversation");
+const { auth } = require("../middleware/auth");
+const { recordAudit } = require("../services/auditLog");
+const { PARAM_NAMES, samplingValidators } = require("../utils/samplingParams");
+const llmConfig = require("../config/llm");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Validation middleware
+const validatePersonaId = [
+    param("id").isMongoId().withMessage("Invalid persona id")
+];
+
+const configuredModels = () => llmConfig.endpoints.map(endpoint => endpoint.model);
+
+// Fields are optional so the same rules serve updates; `name` is checked
+// separately on creation. null clears the model and sampling parameters.
+const validatePersona = [
+    body("name").optional().isString().trim().notEmpty().withMessage("Name cannot be empty")
+        .isLength({ max: 100 }).withMessage("Name must be at most 100 characters"),
+    body("description").optional().isString().trim().isLength({ max: 500 }).withMessage("Description must be at most 500 characters"),
+    body("systemPrompt").optional().isString().isLength({ max: 10000 }).withMessage("System prompt must be at most 10000 characters"),
+    body("model").optional({ values: "null" }).isIn(configuredModels())
+        .withMessage(`Model must be one of ${configuredModels().join(", ")}`),
+    body("shared").optional().isBoolean().withMessage("shared must be a boolean"),
+    ...samplingValidators({ nullable: true })
+];
+
+const validateNewPersona = [
+    body("name").exists().withMessage("Name is required"),
+    ...validatePersona
+];
+
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+const isAdmin = (req) => req.user.role === "admin";
+
+// Users edit their own personas; shared personas are managed by admins
+const canEdit = (req, persona) => persona.shared ? isAdmin(req) : persona.user_id.equals(req.user._id);
+
+// Copy the fields present in the request body onto a persona
+const applyChanges = (persona, changes) => {
+    for (const field of ["name", "description", "systemPrompt", "model", "shared"]) {
+        if (changes[field] !== undefined) {
+            persona[field] = changes[field] === null ? undefined : changes[field];
+        }
+    }
+    for (const name of PARAM_NAMES) {
+        if (changes[name] !== undefined) {
+            persona.params[name] = changes[name] === null ? undefined : changes[name];
+        }
+    }
+};
+
+// List the shared personas and the user's own
+router.get("/", auth, async (req, res) => {
+    try {
+        const personas = await Persona.find(Persona.visibleTo(req.user._id))
+            .sort({ shared: -1, name: 1 });
+        res.json(personas);
+    } catch (error) {
+        logger.error("Get personas error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Create a persona. Only admins may publish shared personas.
+router.post("/", auth, validateNewPersona, handleValidationErrors, async (req, res) => {
+    try {
+        if (req.body.shared && !isAdmin(req)) {
+            return res.status(403).json({ error: "Admin access required to share personas" });
+        }
+
+        const persona = new Persona({ user_id: req.user._id });
+        applyChanges(persona, req.body);
+        await persona.save();
+
+        if (persona.shared) {
+            await recordAudit(req, "persona.created", persona._id, { name: persona.name });
+        }
+
+        res.status(201).json(persona);
+    } catch (error) {
+        logger.error("Create persona error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.get("/:id", auth, validatePersonaId, handleValidationErrors, async (req, res) => {
+    try {
+        const persona = await Persona.findOne({ _id: req.params.id, ...Persona.visibleTo(req.user._id) });
+
+        if (!persona) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+
+        res.json(persona);
+    } catch (error) {
+        logger.error("Get persona error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.patch("/:id", auth, validatePersonaId, validatePersona, handleValidationErrors, async (req, res) => {
+    try {
+        const persona = await Persona.findOne({ _id: req.params.id, ...Persona.visibleTo(req.user._id) });
+
+        if (!persona) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+        if (!canEdit(req, persona) || (req.body.shared !== undefined && !isAdmin(req))) {
+            return res.status(403).json({ error: "Not allowed to edit this persona" });
+        }
+
+        const wasShared = persona.shared;
+        applyChanges(persona, req.body);
+        persona.updatedAt = new Date();
+        await persona.save();
+
+        if (wasShared || persona.shared) {
+            await recordAudit(req, "persona.updated", persona._id, { changes: Object.keys(req.body) });
+        }
+
+        res.json(persona);
+    } catch (error) {
+        logger.error("Update persona error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Delete a persona; conversations using it fall back to the defaults
+router.delete("/:id", auth, validatePersonaId, handleValidationErrors, async (req, res) => {
+    try {
+        const persona = await Persona.findOne({ _id: req.params.id, ...Persona.visibleTo(req.user._id) });
+
+        if (!persona) {
+            return res.status(404).json({ error: "Persona not found" });
+        }
+        if (!canEdit(req, persona)) {
+            return res.status(403).json({ error: "Not allowed to delete this persona" });
+        }
+
+        await persona.deleteOne();
+        await Conversation.updateMany({ persona_id: persona._id }, { $unset: { persona_id: 1 } });
+
+        if (persona.shared) {
+            await recordAudit(req, "persona.deleted", persona._id, { name: persona.name });
+        }
+
+        res.json({ message: "Persona deleted" });
+    } catch (error) {
+        logger.error("Delete persona error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const Usage = require("../models/Usage");
+const { auth } = require("../middleware/auth");
+const { dayKey, getQuotaStatus } = require("../services/usageService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Validation middleware
+const validateUsageQuery = [
+    query("days").optional().isInt({ min: 1, max: 365 }).withMessage("Days must be between 1 and 365").toInt()
+];
+
+// Get the current user's token consumption and quotas
+router.get("/", auth, validateUsageQuery, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { days = 30 } = req.query;
+        const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+
+        const [quota, history] = await Promise.all([
+            getQuotaStatus(req.user),
+            Usage.find({ user_id: req.user._id, date: { $gte: dayKey(since) } })
+                .select("-_id date requests promptTokens completionTokens totalTokens")
+                .sort({ date: 1 })
+        ]);
+
+        res.json({ quota, history });
+    } catch (error) {
+        logger.error("Get usage error:", error);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
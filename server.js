@@ -1,37 +1,45 @@
+require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const compression = require("compression");
-const rateLimit = require("express-rate-limit");
 const connectDB = require("./config/db");
-const { connectRedis } = require("./utils/cache");
+const { connectCache } = require("./utils/cache");
 const logger = require("./utils/logger");
-require("dotenv").config();
+const { requestContext } = require("./middleware/requestContext");
+const { rateLimit } = require("./utils/rateLimiter");
+const { attachChatSocket } = require("./routes/chatSocket");
 
 // Initialize app
 const app = express();
 
+// Number of proxies in front of the app (e.g. 1 on Vercel), so req.ip is the client's
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Request IDs, request-scoped logging and access logs
+app.use(requestContext);
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
-
 // CORS configuration
 app.use(
     cors({
         origin: process.env.FRONTEND_URL || "*",
-        methods: ["GET", "POST", "PUT", "DELETE"],
-        allowedHeaders: ["Content-Type", "Authorization"],
+        methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+        allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+        exposedHeaders: ["X-Request-Id", "RateLimit-Policy", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"],
         credentials: true
     })
 );
 
+// Rate limiting (shared across instances through Redis), after CORS so that
+// browsers can read 429 responses
+app.use(rateLimit("global"));
+
 // Body parser
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
@@ -42,15 +50,17 @@ connectDB().catch((err) => {
     process.exit(1);
 });
 
-// Connect to Redis
-connectRedis().catch((err) => {
-    logger.error("Redis connection failed:", err);
-    process.exit(1);
-});
+// Connect to Redis (falls back to an in-memory cache)
+connectCache();
 
 // Routes
 app.use("/api/auth", require("./routes/authRoutes"));
 app.use("/api/chat", require("./routes/chatRoutes"));
+app.use("/api/conversations", require("./routes/conversationRoutes"));
+app.use("/api/admin", require("./routes/adminRoutes"));
+app.use("/api/usage", require("./routes/usageRoutes"));
+app.use("/api/personas", require("./routes/personaRoutes"));
+app.use("/api/documents", require("./routes/documentRoutes"));
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -62,7 +72,7 @@ app.get("/health", (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    logger.error(err.stack);
+    logger.error("Unhandled error:", err);
     res.status(500).json({
         error: "Internal Server Error",
         message: process.env.NODE_ENV === "development" ? err.message : "Something went wrong"
@@ -76,7 +86,10 @@ app.use((req, res) => {
 
 // Server listener
 const PORT = process.env.PORT || 8000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     logger.info(`🚀 Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || "development"}`);
 });
+
+// WebSocket chat transport on the same server
+attachChatSocket(server);
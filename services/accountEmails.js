@@ -0,0 +1,32 @@
+const authConfig = require("../config/auth");
+const mailConfig = require("../config/mail");
+const { sendMail } = require("./mailer");
+const { signActionToken } = require("./tokenService");
+
+const sendVerificationEmail = async (user) => {
+    const token = signActionToken(user, "email_verification", authConfig.verificationTokenTtl);
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email",
+        text: `Hi ${user.name},\n\n`
+            + `Please verify your email address by opening the link below:\n\n`
+            + `${mailConfig.appUrl}/verify-email?token=${token}\n\n`
+            + "The link expires in 24 hours."
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = signActionToken(user, "password_reset", authConfig.passwordResetTokenTtl);
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\n`
+            + `A password reset was requested for your account. Open the link below to choose a new password:\n\n`
+            + `${mailConfig.appUrl}/reset-password?token=${token}\n\n`
+            + "The link expires in 1 hour and can only be used once. If you did not request it, you can ignore this email."
+    });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
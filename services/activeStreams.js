@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+const streamingConfig = require("../config/streaming");
+const { getStore } = require("../utils/cache");
+const logger = require("../utils/logger");
+
+// Responses currently being generated on this instance, keyed by stream ID,
+// so that their owner can stop them. Each stream is also recorded in the
+// cache store with its owner: a stop request reaching another instance
+// leaves a stop key there, which the generating instance checks every
+// STREAM_STOP_POLL_MS.
+const streams = new Map();
+
+const runningKey = (id) => `chat_stream:${id}:running`;
+const stopKey = (id) => `chat_stream:${id}:stop`;
+
+// Both keys outlive a few polls, so that the running key of a crashed
+// instance soon expires and a stop key is seen before it does
+const keyTtlSeconds = () => Math.ceil(3 * streamingConfig.stopPollMs / 1000);
+
+const markRunning = async (id, userId) => {
+    try {
+        await getStore().set(runningKey(id), userId, keyTtlSeconds());
+    } catch (error) {
+        logger.error("Stream registry error:", error);
+    }
+};
+
+const isStopRequested = async (id) => {
+    try {
+        return Boolean(await getStore().get(stopKey(id)));
+    } catch (error) {
+        logger.error("Stream registry error:", error);
+        return false;
+    }
+};
+
+const forget = async (id) => {
+    try {
+        await Promise.all([getStore().del(runningKey(id)), getStore().del(stopKey(id))]);
+    } catch (error) {
+        logger.error("Stream registry error:", error);
+    }
+};
+
+// Register a new stream for a user. Returns its ID, the signal cancelling
+// the upstream request and a function to call once the stream has ended.
+const registerStream = (userId) => {
+    const id = crypto.randomUUID();
+    const owner = userId.toString();
+    const controller = new AbortController();
+    streams.set(id, { userId: owner, controller });
+    markRunning(id, owner);
+
+    const poll = setInterval(async () => {
+        await markRunning(id, owner);
+        if (await isStopRequested(id)) {
+            controller.abort("stopped");
+        }
+    }, streamingConfig.stopPollMs);
+    poll.unref();
+
+    return {
+        id,
+        signal: controller.signal,
+        abort: (reason) => controller.abort(reason),
+        release: () => {
+            clearInterval(poll);
+            streams.delete(id);
+            forget(id);
+        }
+    };
+};
+
+// Stop a user's stream, on this instance or through the store on the one
+// generating it. Resolves with false when no such stream is running.
+const stopStream = async (id, userId) => {
+    const owner = userId.toString();
+    const stream = streams.get(id);
+    if (stream) {
+        if (stream.userId !== owner) {
+            return false;
+        }
+        stream.controller.abort("stopped");
+        return true;
+    }
+
+    try {
+        if (await getStore().get(runningKey(id)) !== owner) {
+            return false;
+        }
+        await getStore().set(stopKey(id), "1", keyTtlSeconds());
+        return true;
+    } catch (error) {
+        logger.error("Stream registry error:", error);
+        return false;
+    }
+};
+
+module.exports = { registerStream, stopStream };
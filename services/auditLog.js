@@ -0,0 +1,12 @@
+const AuditLog = require("../models/AuditLog");
+
+// Record an admin action performed by the authenticated user of `req`
+const recordAudit = (req, action, targetId, details = {}) => AuditLog.create({
+    actor_id: req.user._id,
+    action,
+    target_id: targetId,
+    details,
+    ip: req.ip
+});
+
+module.exports = { recordAudit };
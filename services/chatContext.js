@@ -0,0 +1,114 @@
+const llmConfig = require("../config/llm");
+const { buildContext } = require("./llm/context");
+const { summarizeTurns } = require("./llm/summary");
+const { getActivePath } = require("./chatTree");
+const { recordUsage } = require("./usageService");
+const logger = require("../utils/logger");
+
+const toTurn = (chat) => ({
+    user: chat.message,
+    assistant: chat.response
+});
+
+// Index in `path` of the last chat covered by the conversation's summary,
+// or -1 when there is no summary or it belongs to another branch
+const coveredIndex = (conversation, path) => {
+    const summary = conversation.summary;
+    if (!summary?.content) return -1;
+
+    if (summary.coveredChatId) {
+        return path.findIndex(chat => chat._id.equals(summary.coveredChatId));
+    }
+
+    // Summaries written before branching only recorded a timestamp
+    return path.reduce((index, chat, i) => chat.timestamp <= summary.coveredUntil ? i : index, -1);
+};
+
+// The persona's instructions, then the retrieved document passages and
+// the summary of earlier turns
+const composeSystemPrompt = (systemPrompt, sources, summary) => [
+    systemPrompt,
+    sources,
+    summary && `Summary of the earlier conversation:\n${summary}`
+].filter(Boolean).join("\n\n") || undefined;
+
+const build = (endpoint, summary, history, message, { params, systemPrompt, sources }) => buildContext({
+    systemPrompt: composeSystemPrompt(systemPrompt, sources, summary),
+    history,
+    message,
+    model: endpoint.model,
+    contextWindow: endpoint.contextWindow || llmConfig.context.contextWindow,
+    reservedTokens: params.maxTokens,
+    minTruncatedTokens: llmConfig.context.minTruncatedTokens
+});
+
+// Fold path[from..until] into `previousSummary` with `endpoints`, store the
+// result on the conversation as covering path[until] and count the tokens
+// in the owner's usage
+const updateSummary = async (conversation, path, from, until, previousSummary, endpoints) => {
+    const covered = path.slice(from, until + 1);
+    const { summary, model, usage } = await summarizeTurns(covered.map(toTurn), previousSummary, endpoints);
+    const last = path[until];
+    await recordUsage(conversation.user_id, usage);
+
+    conversation.summary = {
+        content: summary,
+        coveredChatId: last._id,
+        coveredUntil: last.timestamp,
+        model,
+        updatedAt: new Date()
+    };
+    await conversation.save();
+
+    return conversation.summary;
+};
+
+// Prepare the context for a new message following `path` (the chats before
+// it, oldest first) with the generation settings { params, systemPrompt,
+// endpoints } and optional `sources` text from the user's documents. When
+// older turns no longer fit the first endpoint's window they are folded
+// into the rolling summary first. Returns a function building the messages
+// for an endpoint.
+const prepareContext = async (conversation, path, message, settings) => {
+    const { endpoints = llmConfig.endpoints } = settings;
+    let covered = coveredIndex(conversation, path);
+    let summary = covered >= 0 ? conversation.summary.content : undefined;
+
+    // Only the most recent turns are considered; older uncovered ones are
+    // summarized together with whatever does not fit
+    let start = Math.max(covered + 1, path.length - llmConfig.context.maxHistoryTurns);
+    let history = path.slice(start).map(toTurn);
+    const result = build(endpoints[0], summary, history, message, settings);
+
+    if (llmConfig.summary.enabled && (result.droppedTurns > 0 || result.truncatedTurns > 0 || start > covered + 1)) {
+        const keep = result.includedTurns - result.truncatedTurns;
+        const until = path.length - keep - 1;
+
+        try {
+            summary = (await updateSummary(conversation, path, covered + 1, until, summary, endpoints)).content;
+            covered = until;
+            start = until + 1;
+            history = path.slice(start).map(toTurn);
+        } catch (error) {
+            // Fall back to plain truncation rather than failing the chat
+            logger.error("Error summarizing conversation:", error);
+        }
+    }
+
+    return (endpoint) => build(endpoint, summary, history, message, settings).messages;
+};
+
+// Rebuild the summary of the active branch from scratch with `endpoints`.
+// It covers the same turns as before, or the whole branch when there is no
+// summary yet.
+const regenerateSummary = async (conversation, endpoints) => {
+    const path = await getActivePath(conversation);
+    if (!path.length) {
+        return null;
+    }
+
+    const covered = coveredIndex(conversation, path);
+    return updateSummary(conversation, path, 0, covered >= 0 ? covered : path.length - 1, "", endpoints);
+};
+
+module.exports = { prepareContext, regenerateSummary };
@@ -0,0 +1,297 @@
+const Chat = require("../models/Chat");
+const Persona = require("../models/Persona");
+const ToolExecution = require("../models/ToolExecution");
+const llmConfig = require("../config/llm");
+const toolsConfig = require("../config/tools");
+const { openStream } = require("./llm/fallback");
+const { prepareContext } = require("./chatContext");
+const { treeFields } = require("./chatTree");
+const { countMessagesTokens, countTokens } = require("./llm/tokens");
+const { recordUsage } = require("./usageService");
+const { registerStream } = require("./activeStreams");
+const { retrieveSources, formatSources, citationsFor } = require("./documentService");
+const { toolsFor, toolDefinitions, executeToolCall, toolResultContent } = require("./tools");
+const { moderate, createStreamRedactor } = require("./moderation");
+const { screenInput } = require("./promptInjection");
+const { publishConversationChange } = require("./conversationEvents");
+const { deleteCacheByPrefix } = require("../utils/cache");
+const { pickParams } = require("../utils/samplingParams");
+const logger = require("../utils/logger");
+
+// Keep a parameter within the configured bounds, which may have been
+// narrowed since a persona or conversation was saved
+const clamp = (name, value) => {
+    const { min, max } = llmConfig.paramBounds[name];
+    return Math.min(Math.max(value, min), max);
+};
+
+// The configured endpoints, with the one serving `model` first
+const endpointsFor = (model) => {
+    const preferred = llmConfig.endpoints.find(endpoint => endpoint.model === model);
+    return preferred
+        ? [preferred, ...llmConfig.endpoints.filter(endpoint => endpoint !== preferred)]
+        : llmConfig.endpoints;
+};
+
+// Generation settings for a request on `conversation`: the configured
+// defaults, overridden in turn by the conversation's persona, the
+// conversation's own settings and the request's parameters.
+// Resolves with { params, systemPrompt, endpoints, persona }.
+const resolveSettings = async (conversation, overrides = {}) => {
+    const persona = conversation.persona_id
+        ? await Persona.findOne({ _id: conversation.persona_id, ...Persona.visibleTo(conversation.user_id) })
+        : null;
+
+    const chosen = {
+        ...pickParams(persona?.params),
+        ...pickParams(conversation.settings),
+        ...pickParams(overrides)
+    };
+    const params = { ...llmConfig.params };
+    for (const [name, value] of Object.entries(chosen)) {
+        params[name] = clamp(name, value);
+    }
+
+    return {
+        params,
+        systemPrompt: persona?.systemPrompt || undefined,
+        endpoints: endpointsFor(persona?.model),
+        persona
+    };
+};
+
+// Passages of the conversation's documents relevant to `message`. A failing
+// embedding service shouldn't stop the chat, which goes ahead without them.
+const findSources = async (conversation, message) => {
+    try {
+        return await retrieveSources(conversation, message);
+    } catch (error) {
+        logger.error("Error retrieving document passages:", error);
+        return [];
+    }
+};
+
+// Read one model response from `deltas`, passing its text to `onContent`.
+// Resolves with the usage when reported and the tool calls made.
+const readResponse = async (deltas, signal, onContent) => {
+    let usage = null;
+    let toolCalls = [];
+
+    for await (const chunk of deltas) {
+        if (signal.aborted) break;
+
+        if (chunk.usage) {
+            usage = chunk.usage;
+        }
+        if (chunk.toolCalls) {
+            toolCalls = chunk.toolCalls;
+        }
+        if (chunk.content) {
+            await onContent(chunk.content);
+        }
+    }
+
+    return { usage, toolCalls };
+};
+
+// Generate a reply to `message` following `path` (the chats before it in
+// the conversation) with `settings` from resolveSettings, and save it as
+// the conversation's new active leaf.
+//
+// Callbacks: `onStart(endpoint, streamId, citations)` once a model has
+// accepted the request, with the document passages given to it (see
+// citationsFor); `onDelta(content)` for every piece of the response; and
+// `onToolCall(call)` and `onToolResult(execution)` around each tool the
+// model calls (see services/tools), sent back to the same endpoint for up to
+// TOOL_MAX_ROUNDS rounds; `onModeration(result)` when output moderation
+// rules match the response; and `onWarning(warning)` for suspected prompt
+// injections in the message or document passages (see promptInjection.js).
+//
+// `message` must already have passed input moderation, whose result is
+// given as `moderation`. The response is redacted as it streams and
+// generation stops as soon as a block rule matches, without sending the
+// match; it is checked as a whole before its end is sent and it is saved.
+// Flagged chats are queued for review.
+//
+// Errors before `onStart` mean nothing was generated and are thrown.
+// Afterwards the response is saved however the stream ends: `completed`,
+// `stopped` (through `stopStream`, by aborting `signal`, e.g. when the
+// client disconnects, or by a block rule) or `errored`, with the text
+// received so far. Resolves
+// with the saved chat and the stream error, if any.
+const generateReply = async ({ user, conversation, path, message, moderation, settings, signal, onStart, onDelta, onToolCall, onToolResult, onModeration, onWarning }) => {
+    const { params, endpoints } = settings;
+    const userId = user._id;
+    const stream = registerStream(userId);
+    const abort = () => stream.abort("disconnected");
+    signal?.addEventListener("abort", abort, { once: true });
+    if (signal?.aborted) abort();
+
+    try {
+        // Blocked injection attempts are thrown here, before anything is sent
+        const { sources, warnings } = await screenInput({
+            userId,
+            message,
+            sources: await findSources(conversation, message)
+        });
+        const citations = citationsFor(sources);
+
+        // Fit the thread's summary, document passages, history and the
+        // current message into each model's context window
+        const buildMessages = await prepareContext(conversation, path, message, {
+            ...settings,
+            sources: sources.length ? formatSources(sources) : undefined
+        });
+
+        const allowedTools = toolsFor(user, conversation);
+        const tools = allowedTools.length ? toolDefinitions(allowedTools) : undefined;
+
+        // Open a stream on the first healthy endpoint in the fallback chain
+        const opened = await openStream(buildMessages, params, endpoints, { signal: stream.signal, tools });
+        const { endpoint } = opened;
+        let { messages, stream: deltas } = opened;
+        await onStart(endpoint, stream.id, citations);
+        for (const warning of warnings) {
+            if (onWarning) await onWarning(warning);
+        }
+
+        let fullResponse = "";
+        let responseText = "";
+        let counted = false;
+        const usage = { promptTokens: 0, completionTokens: 0 };
+        const executions = [];
+        let status = "completed";
+        let streamError = null;
+
+        const redactor = createStreamRedactor("output");
+        const relay = async (content) => {
+            responseText += content;
+            fullResponse += content;
+            const text = redactor.push(content);
+            if (text) await onDelta(text);
+            // Stop generating once a block rule matched; nothing more is sent
+            if (redactor.blocked) stream.abort("blocked");
+        };
+
+        // Add the tokens of the current response, estimated when the
+        // provider does not report them
+        const countResponse = (reported) => {
+            usage.promptTokens += reported?.promptTokens ?? countMessagesTokens(messages, endpoint.model);
+            usage.completionTokens += reported?.completionTokens ?? countTokens(responseText, endpoint.model);
+            counted = true;
+        };
+
+        try {
+            for (let round = 0; ; round++) {
+                responseText = "";
+                counted = false;
+                const response = await readResponse(deltas, stream.signal, relay);
+                countResponse(response.usage);
+
+                if (!response.toolCalls.length || stream.signal.aborted) break;
+                if (round >= toolsConfig.maxRounds) {
+                    logger.warn(`Model ${endpoint.model} still calling tools after ${round} rounds`);
+                    break;
+                }
+
+                const calls = response.toolCalls.map((call, i) => ({ ...call, id: call.id || `call_${round}_${i}` }));
+                const results = [];
+                for (const call of calls) {
+                    if (onToolCall) await onToolCall(call);
+                    const execution = await executeToolCall(call, { user, conversation });
+                    executions.push(execution);
+                    results.push(execution);
+                    if (onToolResult) await onToolResult(execution);
+                }
+                if (stream.signal.aborted) break;
+
+                // Send the calls and their results back for the model to continue
+                messages = [
+                    ...messages,
+                    {
+                        role: "assistant",
+                        content: responseText || null,
+                        tool_calls: calls.map(call => ({
+                            id: call.id,
+                            type: "function",
+                            function: { name: call.name, arguments: call.arguments }
+                        }))
+                    },
+                    ...results.map(execution => ({
+                        role: "tool",
+                        tool_call_id: execution.id,
+                        content: toolResultContent(execution)
+                    }))
+                ];
+                ({ stream: deltas } = await openStream(messages, params, [endpoint], { signal: stream.signal, tools }));
+            }
+        } catch (error) {
+            if (!counted) countResponse(null);
+            if (!stream.signal.aborted) {
+                streamError = error;
+            }
+        }
+
+        if (stream.signal.aborted) {
+            status = "stopped";
+        } else if (streamError) {
+            status = "errored";
+        }
+
+        // The held back end of the response is only sent if it passes
+        const output = await moderate(fullResponse, "output");
+        output.blocked = output.blocked || redactor.blocked;
+        if (!output.blocked) {
+            const rest = redactor.end();
+            if (rest) await onDelta(rest);
+        }
+        if (output.flags.length && onModeration) {
+            await onModeration(output);
+        }
+        const flags = [...(moderation?.flags || []), ...output.flags];
+        const needsReview = moderation?.flagged || output.flagged || output.blocked;
+
+        const chat = new Chat({
+            user_id: userId,
+            conversation_id: conversation._id,
+            ...treeFields(path),
+            message,
+            response: output.blocked ? "" : output.text,
+            status,
+            model: endpoint.model,
+            promptTokens: usage.promptTokens,
+            completionTokens: usage.completionTokens,
+            params,
+            citations: citations.length
+                ? citations.map(({ index, documentId, filename, chunkIndex, score }) => ({
+                    index, document_id: documentId, filename, chunkIndex, score
+                }))
+                : undefined,
+            moderation: flags.length
+                ? { flags, blocked: output.blocked || undefined, review: needsReview ? { status: "pending" } : undefined }
+                : undefined
+        });
+        await chat.save();
+        await recordUsage(userId, usage);
+
+        const executionIds = executions.map(execution => execution.executionId).filter(Boolean);
+        if (executionIds.length) {
+            await ToolExecution.updateMany({ _id: { $in: executionIds } }, { chat_id: chat._id });
+        }
+
+        conversation.active_chat_id = chat._id;
+        conversation.updatedAt = new Date();
+        await conversation.save();
+        publishConversationChange(userId, "updated", conversation);
+
+        // Invalidate user's chat history cache
+        await deleteCacheByPrefix(`chat_history:${userId}:`);
+
+        return { chat, error: streamError };
+    } finally {
+        signal?.removeEventListener("abort", abort);
+        stream.release();
+    }
+};
+
+module.exports = { resolveSettings, generateReply };
@@ -0,0 +1,161 @@
+const Chat = require("../models/Chat");
+const Conversation = require("../models/Conversation");
+const streamingConfig = require("../config/streaming");
+const { resolveSettings, generateReply } = require("./chatPipeline");
+const { setStreamOwner, appendEvent, isWatched } = require("./streamBuffer");
+const { publishConversationChange } = require("./conversationEvents");
+const { moderate } = require("./moderation");
+const logger = require("../utils/logger");
+
+// Transport-independent part of a chat request, shared by the SSE routes and
+// the WebSocket server
+
+// The conversation to continue, or a new one titled after the message.
+// Resolves with null when `conversationId` is not one of the user's.
+const findConversation = async (userId, conversationId, message) => {
+    if (conversationId) {
+        return Conversation.findOne({ _id: conversationId, user_id: userId });
+    }
+
+    const conversation = new Conversation({
+        user_id: userId,
+        title: Conversation.titleFromMessage(message)
+    });
+    await conversation.save();
+    publishConversationChange(userId, "created", conversation);
+
+    return conversation;
+};
+
+// Run input moderation on a new message, before it is used anywhere.
+// Resolves with the moderation result, whose `text` replaces the message;
+// throws with code MESSAGE_BLOCKED when a block rule matched.
+const moderateMessage = async (userId, message) => {
+    const result = await moderate(message, "input");
+    if (result.blocked) {
+        logger.warn(`Message from user ${userId} blocked by ${result.flags.filter(flag => flag.action === "block").map(flag => flag.rule).join(", ")}`);
+        const error = new Error("Your message was blocked by content moderation");
+        error.code = "MESSAGE_BLOCKED";
+        throw error;
+    }
+    return result;
+};
+
+// A chat of the user's, with its conversation
+const findChat = async (chatId, userId) => {
+    const chat = await Chat.findOne({ _id: chatId, user_id: userId.toString() });
+    const conversation = chat && await Conversation.findOne({ _id: chat.conversation_id, user_id: userId });
+    return conversation ? { chat, conversation } : {};
+};
+
+// Generate a reply for `user`, with the sampling parameters in `overrides`
+// taking precedence over the conversation's settings, and deliver its
+// events: { conversationId, streamId }, { model, provider }, { citations }
+// when document passages were retrieved (see citationsFor),
+// { choices: [{ delta: { content } }] } for each piece, { toolCall } and
+// { toolResult } around each tool the model calls, { moderation } when
+// moderation rules matched the message or the response, { warning } for
+// suspected prompt injections, { error, message } if the stream failed,
+// { chatId, parentId, status } and finally "[DONE]". `moderation` is the
+// input moderation result of a new message. `deliver(payload, id)` receives
+// each event with its ID; events are also buffered for clients reconnecting
+// to the stream.
+//
+// The optional `onStart(streamId)` is called before the first event. Errors
+// before that mean nothing was generated and are thrown. Aborting `signal`
+// marks the client as gone: generation continues for a grace period and is
+// cancelled unless a reconnected client is reading the stream.
+const runChatStream = async ({ user, conversation, path, message, moderation, overrides, signal, onStart, deliver }) => {
+    const userId = user._id;
+    const cancelled = new AbortController();
+    let streamId = null;
+    let watchTimer = null;
+
+    const send = async (payload) => {
+        const data = typeof payload === "string" ? payload : JSON.stringify(payload);
+        deliver(payload, await appendEvent(streamId, data));
+    };
+
+    const onDisconnect = () => {
+        if (!streamId) return cancelled.abort();
+
+        watchTimer = setInterval(async () => {
+            if (!(await isWatched(streamId))) {
+                clearInterval(watchTimer);
+                cancelled.abort();
+            }
+        }, streamingConfig.reconnectGraceMs);
+    };
+    signal?.addEventListener("abort", onDisconnect, { once: true });
+    if (signal?.aborted) onDisconnect();
+
+    try {
+        const { chat, error } = await generateReply({
+            user,
+            conversation,
+            path,
+            message,
+            moderation,
+            settings: await resolveSettings(conversation, overrides),
+            signal: cancelled.signal,
+            onStart: async (endpoint, id, citations) => {
+                streamId = id;
+                await setStreamOwner(streamId, userId);
+                if (onStart) await onStart(streamId);
+                await send({ conversationId: conversation._id, streamId });
+                await send({ model: endpoint.model, provider: endpoint.provider });
+                if (citations.length) {
+                    await send({ citations });
+                }
+                if (moderation?.flags.length) {
+                    await send({ moderation: { stage: "input", message, flags: moderation.flags } });
+                }
+            },
+            onDelta: (content) => send({ choices: [{ delta: { content } }] }),
+            onToolCall: ({ id, name, arguments: args }) => send({ toolCall: { id, name, arguments: args } }),
+            onToolResult: ({ id, name, status, result, error }) => send({ toolResult: { id, name, status, result, error } }),
+            onModeration: ({ blocked, flags }) => send({ moderation: { stage: "output", blocked, flags } }),
+            onWarning: (warning) => send({ warning })
+        });
+
+        if (error) {
+            logger.error("Stream error:", error);
+            await send({ error: "Stream error", message: error.message });
+        }
+        await send({ chatId: chat._id, parentId: chat.parent_id, status: chat.status });
+    } catch (error) {
+        if (!streamId) throw error;
+
+        logger.error("Chat error:", error);
+        await send({ error: "AI service error", message: error.message });
+    } finally {
+        signal?.removeEventListener("abort", onDisconnect);
+        clearInterval(watchTimer);
+    }
+
+    await send("[DONE]");
+    await setStreamOwner(streamId, userId);
+};
+
+// HTTP status and body for an error raised before a stream started
+const chatErrorResponse = (error) => {
+    if (error.code === "MESSAGE_BLOCKED" || error.code === "PROMPT_INJECTION") {
+        return { status: 400, body: { error: "Message blocked", message: error.message } };
+    }
+
+    if (error.code === "CONTEXT_OVERFLOW") {
+        return { status: 413, body: { error: "Message too long", message: error.message } };
+    }
+
+    if (error.code === "ECONNABORTED") {
+        return { status: 504, body: { error: "Request timeout", message: "AI service took too long to respond" } };
+    }
+
+    if (error.response) {
+        return { status: error.response.status, body: { error: "AI service error", message: error.response.statusText } };
+    }
+
+    return { status: 500, body: { error: "Server error", message: error.message } };
+};
+
+module.exports = { findConversation, moderateMessage, findChat, runChatStream, chatErrorResponse };
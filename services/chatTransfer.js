@@ -0,0 +1,287 @@
+// Export and import of chat history as JSON, Markdown or JSONL (OpenAI
+// fine-tuning `messages` format)
+
+const { moderate } = require("./moderation");
+
+const FORMATS = {
+    json: { contentType: "application/json", extension: "json" },
+    markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+    jsonl: { contentType: "application/x-ndjson", extension: "jsonl" }
+};
+
+const UNTITLED = "Untitled conversation";
+
+const MAX_IMPORT_CONVERSATIONS = 1000;
+const MAX_IMPORT_MESSAGES = 10000;
+const MAX_MESSAGE_LENGTH = 100000;
+
+// Group an async iterable of chats, sorted by conversation, into runs
+async function* groupByConversation(chats) {
+    let current = null;
+
+    for await (const chat of chats) {
+        const id = chat.conversation_id ? chat.conversation_id.toString() : null;
+        if (!current || current.id !== id) {
+            if (current) yield current;
+            current = { id, chats: [] };
+        }
+        current.chats.push(chat);
+    }
+
+    if (current) yield current;
+}
+
+// Lines of a message body that would read as a conversation or message
+// heading get a backslash, which Markdown renders as a literal "#". Lines
+// already starting with backslashes get one more, so that unescaping
+// restores them exactly.
+const HEADING_LIKE = /^\\*#{2,3}(?:\s|$)/;
+const ESCAPED_HEADING = /^\\(\\*#{2,3}(?:\s|$))/;
+
+const escapeMarkdownBody = (text) => (text || "")
+    .split("\n")
+    .map(line => HEADING_LIKE.test(line) ? `\\${line}` : line)
+    .join("\n");
+
+const unescapeMarkdownBody = (line) => line.replace(ESCAPED_HEADING, "$1");
+
+const chatMessages = (chat) => [
+    { role: "user", content: chat.message, timestamp: chat.timestamp },
+    { role: "assistant", content: chat.response, timestamp: chat.timestamp, model: chat.model }
+];
+
+// Yield the export document piece by piece. `chats` must be sorted by
+// conversation and then by time; `getConversation(id)` resolves the
+// conversation's metadata. Only one conversation is held in memory at a time.
+async function* exportChunks(format, chats, getConversation) {
+    let first = true;
+
+    if (format === "json") {
+        yield `{"version":1,"exportedAt":${JSON.stringify(new Date().toISOString())},"conversations":[`;
+    } else if (format === "markdown") {
+        yield "# Chat export\n";
+    }
+
+    for await (const group of groupByConversation(chats)) {
+        const conversation = (group.id && await getConversation(group.id)) || null;
+        const title = conversation?.title || UNTITLED;
+        const messages = group.chats.flatMap(chatMessages);
+
+        if (format === "json") {
+            yield (first ? "" : ",") + JSON.stringify({
+                id: group.id,
+                title,
+                createdAt: conversation?.createdAt,
+                messages
+            });
+        } else if (format === "markdown") {
+            yield `\n## ${title.replace(/\s+/g, " ")}\n`;
+            for (const message of messages) {
+                const heading = message.role === "user" ? "User" : "Assistant";
+                yield `\n### ${heading}\n\n${escapeMarkdownBody(message.content)}\n`;
+            }
+        } else {
+            yield JSON.stringify({
+                messages: messages.map(({ role, content }) => ({ role, content }))
+            }) + "\n";
+        }
+
+        first = false;
+    }
+
+    if (format === "json") {
+        yield "]}\n";
+    }
+}
+
+const importError = (message) => {
+    const error = new Error(message);
+    error.code = "INVALID_IMPORT";
+    return error;
+};
+
+const parseJson = (body) => {
+    const data = typeof body === "string" ? JSON.parse(body) : body;
+    if (!data || !Array.isArray(data.conversations)) {
+        throw importError("Expected an object with a conversations array");
+    }
+    return data.conversations.map(conversation => ({
+        title: conversation.title,
+        messages: conversation.messages
+    }));
+};
+
+const parseJsonl = (body) => body
+    .split("\n")
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+        try {
+            return { messages: JSON.parse(line).messages };
+        } catch (error) {
+            throw importError(`Line ${index + 1} is not valid JSON`);
+        }
+    });
+
+// Parse the Markdown layout produced by the exporter: "## Title" starts a
+// conversation, "### User" / "### Assistant" start a message, and heading
+// lines escaped in message bodies are restored
+const parseMarkdown = (body) => {
+    const conversations = [];
+    let conversation = null;
+    let message = null;
+
+    const finishMessage = () => {
+        if (message) {
+            message.content = message.lines.join("\n").trim();
+            delete message.lines;
+            message = null;
+        }
+    };
+
+    for (const line of body.split(/\r?\n/)) {
+        const title = line.match(/^## (.+)$/);
+        const heading = line.match(/^### (User|Assistant)\s*$/i);
+
+        if (title) {
+            finishMessage();
+            conversation = { title: title[1].trim(), messages: [] };
+            conversations.push(conversation);
+        } else if (heading) {
+            finishMessage();
+            if (!conversation) {
+                conversation = { title: UNTITLED, messages: [] };
+                conversations.push(conversation);
+            }
+            message = { role: heading[1].toLowerCase(), lines: [] };
+            conversation.messages.push(message);
+        } else if (message) {
+            message.lines.push(unescapeMarkdownBody(line));
+        }
+    }
+    finishMessage();
+
+    return conversations;
+};
+
+const parsers = { json: parseJson, jsonl: parseJsonl, markdown: parseMarkdown };
+
+// Validate parsed conversations and pair their messages into chats.
+// System messages are ignored; a user message without an answer is skipped.
+const toImport = (conversations) => {
+    if (!conversations.length) {
+        throw importError("No conversations found");
+    }
+    if (conversations.length > MAX_IMPORT_CONVERSATIONS) {
+        throw importError(`At most ${MAX_IMPORT_CONVERSATIONS} conversations can be imported at once`);
+    }
+
+    let total = 0;
+    let skipped = 0;
+
+    // Messages without timestamps keep their order through increasing times
+    const base = Date.now();
+    let sequence = 0;
+
+    const result = conversations.map((conversation, index) => {
+        if (!Array.isArray(conversation.messages)) {
+            throw importError(`Conversation ${index + 1} has no messages array`);
+        }
+
+        const chats = [];
+        let pending = null;
+
+        for (const message of conversation.messages) {
+            if (!message || typeof message.content !== "string" || !["system", "user", "assistant"].includes(message.role)) {
+                throw importError(`Conversation ${index + 1} contains an invalid message`);
+            }
+            if (message.content.length > MAX_MESSAGE_LENGTH) {
+                throw importError(`Conversation ${index + 1} contains a message over ${MAX_MESSAGE_LENGTH} characters`);
+            }
+
+            total++;
+            if (message.role === "system") continue;
+
+            if (message.role === "user") {
+                if (pending) skipped++;
+                pending = message;
+            } else if (pending) {
+                const timestamp = new Date(message.timestamp || pending.timestamp || NaN);
+                const fallback = new Date(base + sequence++);
+                chats.push({
+                    message: pending.content,
+                    response: message.content,
+                    model: typeof message.model === "string" ? message.model : undefined,
+                    timestamp: Number.isNaN(timestamp.getTime()) ? fallback : timestamp
+                });
+                pending = null;
+            } else {
+                skipped++;
+            }
+        }
+        if (pending) skipped++;
+
+        const title = typeof conversation.title === "string" && conversation.title.trim()
+            ? conversation.title.trim().slice(0, 200)
+            : UNTITLED;
+
+        return { title, chats };
+    });
+
+    if (total > MAX_IMPORT_MESSAGES) {
+        throw importError(`At most ${MAX_IMPORT_MESSAGES} messages can be imported at once`);
+    }
+
+    return { conversations: result.filter(conversation => conversation.chats.length), skipped };
+};
+
+// Parse an import body in the given format into { conversations, skipped }.
+// Invalid input throws an error with code INVALID_IMPORT.
+const parseImport = (format, body) => {
+    let conversations;
+    try {
+        conversations = parsers[format](body);
+    } catch (error) {
+        if (error.code === "INVALID_IMPORT") throw error;
+        throw importError(`Invalid ${format} input: ${error.message}`);
+    }
+    return toImport(conversations);
+};
+
+// Moderate imported chats like new messages: both sides come from the
+// user, so input rules apply to each. Matches are redacted, blocked chats
+// are left out and flagged ones are queued for review. Resolves with the
+// conversations that still have chats and the number of chats left out.
+const moderateImport = async (conversations) => {
+    let blocked = 0;
+    const moderated = [];
+
+    for (const { title, chats } of conversations) {
+        const kept = [];
+        for (const chat of chats) {
+            const message = await moderate(chat.message, "input");
+            const response = await moderate(chat.response, "input");
+            if (message.blocked || response.blocked) {
+                blocked++;
+                continue;
+            }
+
+            const flags = [...message.flags, ...response.flags];
+            kept.push({
+                ...chat,
+                message: message.text,
+                response: response.text,
+                moderation: flags.length
+                    ? { flags, review: message.flagged || response.flagged ? { status: "pending" } : undefined }
+                    : undefined
+            });
+        }
+        if (kept.length) {
+            moderated.push({ title, chats: kept });
+        }
+    }
+
+    return { conversations: moderated, blocked };
+};
+
+module.exports = { FORMATS, exportChunks, parseImport, moderateImport };
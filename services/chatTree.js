@@ -0,0 +1,105 @@
+const Chat = require("../models/Chat");
+
+// Chats form a tree per conversation: each chat points to the chat it
+// follows (`parent_id`) and stores its `ancestors` from the root. Edited
+// and regenerated turns are siblings sharing a parent. The conversation's
+// `active_chat_id` is the leaf of the path currently shown and continued.
+//
+// Chats created before branching existed have no `depth`; a conversation
+// without an active chat is read as a linear list in time order.
+
+// Sort chats into the order of `ids`
+const inOrder = (chats, ids) => {
+    const byId = new Map(chats.map(chat => [chat._id.toString(), chat]));
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Chats from the root up to and including `chat`
+const getPathTo = async (chat) => {
+    if (chat.depth === undefined) {
+        return Chat.find({ conversation_id: chat.conversation_id, timestamp: { $lte: chat.timestamp } })
+            .sort({ timestamp: 1 });
+    }
+
+    const ancestors = await Chat.find({ _id: { $in: chat.ancestors } });
+    return [...inOrder(ancestors, chat.ancestors), chat];
+};
+
+// Chats before `chat` on its path
+const getParentPath = async (chat) => (await getPathTo(chat)).slice(0, -1);
+
+// The conversation's active path, oldest first
+const getActivePath = async (conversation) => {
+    if (conversation.active_chat_id) {
+        const leaf = await Chat.findById(conversation.active_chat_id);
+        if (leaf) {
+            return getPathTo(leaf);
+        }
+    }
+
+    return Chat.find({ conversation_id: conversation._id }).sort({ timestamp: 1 });
+};
+
+// Ids of the chats on the active paths of `conversations`, for leaving the
+// other branches out of history queries. Chats without a `depth` predate
+// branching and are on their conversation's path whatever this returns.
+const getActiveChatIds = async (conversations) => {
+    const leafIds = conversations.map(conversation => conversation.active_chat_id).filter(Boolean);
+    if (!leafIds.length) {
+        return [];
+    }
+
+    const leaves = await Chat.find({ _id: { $in: leafIds } }).select("_id ancestors").lean();
+    return leaves.flatMap(leaf => [...(leaf.ancestors || []), leaf._id]);
+};
+
+// Tree fields for a new chat following `path`
+const treeFields = (path) => {
+    const parent = path[path.length - 1];
+    return {
+        parent_id: parent ? parent._id : null,
+        ancestors: path.map(chat => chat._id),
+        depth: path.length
+    };
+};
+
+// The most recently created chat in the subtree of `chat`, used as the
+// active leaf when switching to another branch
+const latestLeaf = async (chat) => {
+    const descendant = await Chat.findOne({ ancestors: chat._id }).sort({ timestamp: -1 });
+    return descendant || chat;
+};
+
+// Add sibling information to each chat of a path: the ids of all
+// alternatives at that position and the index of the chat among them
+const withSiblings = async (path) => {
+    const branched = path.filter(chat => chat.depth !== undefined);
+    const siblings = branched.length
+        ? await Chat.find({
+            conversation_id: path[0].conversation_id,
+            $or: branched.map(chat => ({ parent_id: chat.parent_id, depth: chat.depth }))
+        }).select("_id parent_id timestamp").sort({ timestamp: 1 })
+        : [];
+
+    return path.map(chat => {
+        const entry = chat.toObject ? chat.toObject() : { ...chat };
+        const parentKey = String(chat.parent_id);
+        const ids = chat.depth === undefined
+            ? [chat._id]
+            : siblings.filter(sibling => String(sibling.parent_id) === parentKey).map(sibling => sibling._id);
+
+        entry.siblingIds = ids;
+        entry.siblingIndex = ids.findIndex(id => id.toString() === chat._id.toString());
+        return entry;
+    });
+};
+
+module.exports = {
+    getPathTo,
+    getParentPath,
+    getActivePath,
+    getActiveChatIds,
+    treeFields,
+    latestLeaf,
+    withSiblings
+};
@@ -0,0 +1,27 @@
+const { EventEmitter } = require("events");
+
+// Notifications about a user's conversations being created, updated (new
+// messages, renames, branch switches) or deleted, for pushing to connected
+// WebSocket clients. Delivered within this instance only.
+const emitter = new EventEmitter();
+// One listener per open connection
+emitter.setMaxListeners(0);
+
+const channel = (userId) => `conversation:${userId}`;
+
+const publishConversationChange = (userId, action, conversation) => {
+    emitter.emit(channel(userId), {
+        action,
+        conversationId: conversation._id,
+        title: conversation.title,
+        updatedAt: conversation.updatedAt
+    });
+};
+
+// Listen to a user's conversation changes. Returns a function removing the listener.
+const subscribeConversationChanges = (userId, listener) => {
+    emitter.on(channel(userId), listener);
+    return () => emitter.off(channel(userId), listener);
+};
+
+module.exports = { publishConversationChange, subscribeConversationChanges };
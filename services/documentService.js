@@ -0,0 +1,145 @@
+const Document = require("../models/Document");
+const DocumentChunk = require("../models/DocumentChunk");
+const documentConfig = require("../config/documents");
+const { getEmbeddingProvider } = require("./embeddings");
+const { extractText, chunkText } = require("./documentText");
+const logger = require("../utils/logger");
+
+// Characters of a chunk quoted in citations
+const EXCERPT_LENGTH = 200;
+
+const embedAll = async (provider, texts) => {
+    const { batchSize } = documentConfig.embeddings;
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += batchSize) {
+        vectors.push(...await provider.embed(texts.slice(i, i + batchSize)));
+    }
+    return vectors;
+};
+
+// Extract, chunk and embed an upload and store it as one of the user's
+// documents. Throws with code EMPTY_DOCUMENT when no text could be extracted.
+const ingestDocument = async ({ userId, filename, contentType, buffer }) => {
+    const text = await extractText(buffer, contentType);
+    const chunks = chunkText(text, documentConfig);
+    if (!chunks.length) {
+        const error = new Error("No text could be extracted from the document");
+        error.code = "EMPTY_DOCUMENT";
+        throw error;
+    }
+
+    const provider = getEmbeddingProvider();
+    const embeddings = await embedAll(provider, chunks);
+
+    const document = new Document({
+        user_id: userId,
+        filename,
+        contentType,
+        size: buffer.length,
+        chunkCount: chunks.length,
+        embeddingModel: provider.model
+    });
+    await document.save();
+
+    try {
+        await DocumentChunk.insertMany(chunks.map((chunk, index) => ({
+            document_id: document._id,
+            user_id: userId,
+            index,
+            text: chunk,
+            embedding: embeddings[index]
+        })));
+    } catch (error) {
+        await deleteDocument(document);
+        throw error;
+    }
+
+    return document;
+};
+
+// Remove a document and its chunks
+const deleteDocument = async (document) => {
+    await DocumentChunk.deleteMany({ document_id: document._id });
+    await document.deleteOne();
+};
+
+const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// The `topK` chunks most similar to `queryVector` scoring at least
+// `minScore`, best first, as { chunk, score }
+const rankChunks = (queryVector, chunks, { topK, minScore }) => chunks
+    .map(chunk => ({ chunk, score: cosineSimilarity(queryVector, chunk.embedding) }))
+    .filter(result => result.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+
+// Retrieve the passages of the conversation's documents most relevant to
+// `message`, as [{ chunk, document, score }]. Documents embedded with a
+// model other than the current one can't be compared and are skipped.
+const retrieveSources = async (conversation, message) => {
+    if (!conversation.document_ids?.length) {
+        return [];
+    }
+
+    const provider = getEmbeddingProvider();
+    const documents = await Document.find({
+        _id: { $in: conversation.document_ids },
+        user_id: conversation.user_id
+    });
+    const searchable = documents.filter(document => document.embeddingModel === provider.model);
+    if (searchable.length < documents.length) {
+        logger.warn(`Skipping ${documents.length - searchable.length} document(s) embedded with another model`);
+    }
+    if (!searchable.length) {
+        return [];
+    }
+
+    const [queryVector] = await provider.embed([message]);
+    const chunks = await DocumentChunk.find({ document_id: { $in: searchable.map(document => document._id) } })
+        .select("document_id index text embedding")
+        .lean();
+
+    const byId = new Map(searchable.map(document => [document._id.toString(), document]));
+    return rankChunks(queryVector, chunks, documentConfig.retrieval).map(({ chunk, score }) => ({
+        chunk,
+        document: byId.get(chunk.document_id.toString()),
+        score
+    }));
+};
+
+// Instructions and numbered passages to add to the system prompt
+const formatSources = (sources) => [
+    "Use the following excerpts from the user's documents when they are relevant to the question. " +
+        "Cite the excerpts you use by their number, like [1].",
+    ...sources.map(({ chunk, document }, i) => `[${i + 1}] ${document.filename} (part ${chunk.index + 1}):\n${chunk.text}`)
+].join("\n\n");
+
+// Citation records for the numbered passages, as sent to the client
+const citationsFor = (sources) => sources.map(({ chunk, document, score }, i) => ({
+    index: i + 1,
+    documentId: document._id,
+    filename: document.filename,
+    chunkIndex: chunk.index,
+    score: Math.round(score * 1000) / 1000,
+    excerpt: chunk.text.length > EXCERPT_LENGTH ? `${chunk.text.slice(0, EXCERPT_LENGTH)}...` : chunk.text
+}));
+
+module.exports = {
+    ingestDocument,
+    deleteDocument,
+    cosineSimilarity,
+    rankChunks,
+    retrieveSources,
+    formatSources,
+    citationsFor
+};
@@ -0,0 +1,71 @@
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+
+// Content types accepted for upload, by how their text is extracted
+const TEXT_TYPES = ["text/plain", "text/markdown", "text/x-markdown"];
+const PDF_TYPES = ["application/pdf"];
+const SUPPORTED_TYPES = [...TEXT_TYPES, ...PDF_TYPES];
+
+// Extract the plain text of an uploaded document
+const extractText = async (buffer, contentType) => {
+    if (TEXT_TYPES.includes(contentType)) {
+        return buffer.toString("utf8");
+    }
+    if (PDF_TYPES.includes(contentType)) {
+        // The bundled pdf.js misreads Node buffers; give it plain bytes
+        const { text } = await pdfParse(new Uint8Array(buffer));
+        return text;
+    }
+
+    const error = new Error(`Unsupported document type: ${contentType}`);
+    error.code = "UNSUPPORTED_DOCUMENT";
+    throw error;
+};
+
+// Split text into chunks of at most `chunkSize` characters, each starting
+// with about `chunkOverlap` characters of the previous one. Breaks fall on
+// paragraph, then sentence, then word boundaries where possible.
+const chunkText = (text, { chunkSize, chunkOverlap }) => {
+    const normalized = text.replace(/\r\n?/g, "\n").replace(/[ \t]+/g, " ").replace(/\n{3,}/g, "\n\n").trim();
+    const chunks = [];
+    let start = 0;
+
+    while (start < normalized.length) {
+        let end = Math.min(start + chunkSize, normalized.length);
+
+        if (end < normalized.length) {
+            const window = normalized.slice(start, end);
+            // Don't break in the first half of the window, or chunks get tiny
+            const minBreak = Math.floor(chunkSize / 2);
+            const breakAt = [/\n\n(?![\s\S]*\n\n)/, /[.!?]\s(?![\s\S]*[.!?]\s)/, /\s(?!\S*\s)/]
+                .map(pattern => {
+                    const match = window.match(pattern);
+                    return match ? match.index + match[0].length : -1;
+                })
+                .find(index => index > minBreak);
+
+            if (breakAt) {
+                end = start + breakAt;
+            }
+        }
+
+        const chunk = normalized.slice(start, end).trim();
+        if (chunk) {
+            chunks.push(chunk);
+        }
+        if (end >= normalized.length) {
+            break;
+        }
+
+        // Back up by the overlap, to the start of a word
+        let next = Math.max(end - chunkOverlap, start + 1);
+        const space = normalized.indexOf(" ", next);
+        if (next > start + 1 && space !== -1 && space < end) {
+            next = space + 1;
+        }
+        start = next;
+    }
+
+    return chunks;
+};
+
+module.exports = { SUPPORTED_TYPES, extractText, chunkText };
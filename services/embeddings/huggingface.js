@@ -0,0 +1,27 @@
+const axios = require("axios");
+
+// Hugging Face Inference API feature-extraction adapter. Sentence embedding
+// models return one pooled vector per input.
+const createHuggingFaceEmbeddingProvider = ({ apiUrl, apiKey, model, timeout }) => {
+    // The models endpoint picks the model's default task, which for sentence
+    // transformers is similarity rather than feature extraction
+    const pipelineUrl = apiUrl.replace(/\/models\/?$/, "/pipeline/feature-extraction");
+
+    const embed = async (texts) => {
+        const response = await axios.post(
+            `${pipelineUrl}/${model}`,
+            { inputs: texts, options: { wait_for_model: true } },
+            {
+                headers: {
+                    Authorization: `Bearer ${apiKey}`
+                },
+                timeout
+            }
+        );
+        return response.data;
+    };
+
+    return { name: "huggingface", model, embed };
+};
+
+module.exports = createHuggingFaceEmbeddingProvider;
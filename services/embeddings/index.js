@@ -0,0 +1,39 @@
+const documentConfig = require("../../config/documents");
+const llmConfig = require("../../config/llm");
+const createLocalEmbeddingProvider = require("./local");
+const createOpenAICompatibleEmbeddingProvider = require("./openaiCompatible");
+const createHuggingFaceEmbeddingProvider = require("./huggingface");
+
+// Each provider exposes embed(texts), resolving to one vector per text, and
+// the `model` the vectors come from. Vectors from different models are not
+// comparable, so documents record the model they were embedded with.
+
+// Provider factories keyed by the EMBEDDING_PROVIDER name. Credentials are
+// shared with the LLM provider of the same name.
+const factories = {
+    local: createLocalEmbeddingProvider,
+    "openai-compatible": createOpenAICompatibleEmbeddingProvider,
+    openai: (options) => createOpenAICompatibleEmbeddingProvider({
+        name: "openai",
+        ...options,
+        baseUrl: options.baseUrl || "https://api.openai.com/v1"
+    }),
+    huggingface: createHuggingFaceEmbeddingProvider
+};
+
+const providers = new Map();
+
+// Return the (cached) embedding provider for the given name and model
+const getEmbeddingProvider = (name = documentConfig.embeddings.provider, model = documentConfig.embeddings.model) => {
+    const key = `${name}:${model}`;
+    if (!providers.has(key)) {
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown embedding provider: ${name}`);
+        }
+        providers.set(key, factory({ timeout: documentConfig.embeddings.timeout, ...llmConfig[name], model }));
+    }
+    return providers.get(key);
+};
+
+module.exports = { getEmbeddingProvider };
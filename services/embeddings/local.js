@@ -0,0 +1,41 @@
+// Dependency-free embeddings: words and word pairs are hashed into a fixed
+// number of buckets (the "hashing trick") and the counts L2-normalized.
+// Only lexical overlap is captured, but results are deterministic and need
+// no external service, which suits development and tests.
+
+const DIMENSIONS = 256;
+
+// 32-bit FNV-1a
+const hash = (text) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const embedText = (text, dimensions) => {
+    const vector = new Array(dimensions).fill(0);
+    const words = tokenize(text);
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    for (const feature of features) {
+        const h = hash(feature);
+        // The top bit picks the sign so unrelated features tend to cancel out
+        vector[h % dimensions] += h & 0x80000000 ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+};
+
+const createLocalEmbeddingProvider = ({ model, dimensions = DIMENSIONS } = {}) => {
+    const embed = async (texts) => texts.map(text => embedText(text, dimensions));
+
+    return { name: "local", model, embed };
+};
+
+module.exports = createLocalEmbeddingProvider;
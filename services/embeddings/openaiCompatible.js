@@ -0,0 +1,27 @@
+const axios = require("axios");
+
+// Adapter for OpenAI's /v1/embeddings endpoint and servers mirroring it
+// (LM Studio, llama.cpp server, vLLM, Ollama)
+const createOpenAICompatibleEmbeddingProvider = ({ name = "openai-compatible", baseUrl, apiKey, model, timeout }) => {
+    const embed = async (texts) => {
+        const headers = {};
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const response = await axios.post(
+            `${baseUrl.replace(/\/$/, "")}/embeddings`,
+            { model, input: texts },
+            { headers, timeout }
+        );
+
+        // Results carry the index of their input and may arrive in any order
+        return [...response.data.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    };
+
+    return { name, model, embed };
+};
+
+module.exports = createOpenAICompatibleEmbeddingProvider;
@@ -0,0 +1,47 @@
+// Tracks consecutive failures for one endpoint. After `failureThreshold`
+// failures the breaker opens and requests are skipped until `cooldownMs`
+// has passed, after which a single trial request is let through.
+const createCircuitBreaker = ({ failureThreshold = 3, cooldownMs = 60000, now = Date.now } = {}) => {
+    let failures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    const getState = () => {
+        if (openedAt === null) return "closed";
+        return now() - openedAt >= cooldownMs ? "half-open" : "open";
+    };
+
+    const canRequest = () => {
+        const state = getState();
+        if (state === "closed") return true;
+        if (state === "half-open" && !trialInFlight) {
+            trialInFlight = true;
+            return true;
+        }
+        return false;
+    };
+
+    const recordSuccess = () => {
+        failures = 0;
+        openedAt = null;
+        trialInFlight = false;
+    };
+
+    const recordFailure = () => {
+        failures++;
+        trialInFlight = false;
+        if (openedAt !== null || failures >= failureThreshold) {
+            openedAt = now();
+        }
+    };
+
+    // End a trial request without a verdict, e.g. when the client went
+    // away, so that the next request can be the trial
+    const releaseTrial = () => {
+        trialInFlight = false;
+    };
+
+    return { getState, canRequest, recordSuccess, recordFailure, releaseTrial };
+};
+
+module.exports = createCircuitBreaker;
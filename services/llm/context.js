@@ -0,0 +1,97 @@
+const { MESSAGE_OVERHEAD, charsPerToken, countTokens, countMessageTokens, countMessagesTokens } = require("./tokens");
+
+const TRUNCATION_MARKER = " [truncated]";
+
+// Cut text down to at most `maxTokens`, keeping its beginning
+const truncateText = (text, maxTokens, model) => {
+    if (countTokens(text, model) <= maxTokens) return text;
+
+    const markerTokens = countTokens(TRUNCATION_MARKER, model);
+    const maxChars = Math.max(0, Math.floor((maxTokens - markerTokens) * charsPerToken(model)));
+    return text.slice(0, maxChars).trimEnd() + TRUNCATION_MARKER;
+};
+
+// Fit a turn into `budget` tokens. Both messages get an equal share and
+// whatever one of them does not need is given to the other.
+const truncateTurn = (turn, budget, model) => {
+    const available = budget - 2 * MESSAGE_OVERHEAD;
+    const userTokens = countTokens(turn.user, model);
+    const assistantTokens = countTokens(turn.assistant, model);
+    const half = Math.floor(available / 2);
+
+    const userShare = userTokens <= half ? userTokens : Math.max(half, available - assistantTokens);
+    const assistantShare = available - Math.min(userTokens, userShare);
+
+    return {
+        user: truncateText(turn.user, userShare, model),
+        assistant: truncateText(turn.assistant, assistantShare, model)
+    };
+};
+
+const turnMessages = (turn) => [
+    { role: "user", content: turn.user },
+    { role: "assistant", content: turn.assistant }
+];
+
+// Assemble the messages sent to the model within a token budget.
+//
+// `history` is a chronological list of { user, assistant } turns. The system
+// prompt, the current message and `reservedTokens` for the completion are
+// always accounted for. Turns are then added newest first while they fit;
+// the first turn that does not fit is truncated if at least
+// `minTruncatedTokens` remain, and every older turn is dropped.
+const buildContext = ({
+    systemPrompt,
+    history = [],
+    message,
+    model,
+    contextWindow,
+    reservedTokens = 0,
+    minTruncatedTokens = 64
+}) => {
+    const system = systemPrompt ? [{ role: "system", content: systemPrompt }] : [];
+    const current = { role: "user", content: message };
+
+    const requiredTokens = system.reduce((total, msg) => total + countMessageTokens(msg, model), 0)
+        + countMessageTokens(current, model);
+    let remaining = contextWindow - reservedTokens - requiredTokens;
+
+    if (remaining < 0) {
+        const error = new Error("Message exceeds the model's context window");
+        error.code = "CONTEXT_OVERFLOW";
+        throw error;
+    }
+
+    const included = [];
+    let truncatedTurns = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+        const turn = history[i];
+        const tokens = countMessageTokens({ content: turn.user }, model)
+            + countMessageTokens({ content: turn.assistant }, model);
+
+        if (tokens <= remaining) {
+            included.unshift(turn);
+            remaining -= tokens;
+            continue;
+        }
+
+        if (remaining >= minTruncatedTokens) {
+            included.unshift(truncateTurn(turn, remaining, model));
+            truncatedTurns = 1;
+        }
+        break;
+    }
+
+    const messages = [...system, ...included.flatMap(turnMessages), current];
+
+    return {
+        messages,
+        promptTokens: countMessagesTokens(messages, model),
+        includedTurns: included.length,
+        droppedTurns: history.length - included.length,
+        truncatedTurns
+    };
+};
+
+module.exports = { buildContext, truncateText };
@@ -0,0 +1,131 @@
+const llmConfig = require("../../config/llm");
+const { getProvider } = require("./index");
+const createCircuitBreaker = require("./circuitBreaker");
+const logger = require("../../utils/logger");
+
+const breakers = new Map();
+
+const endpointId = (endpoint) => `${endpoint.provider}:${endpoint.model}`;
+
+const getBreaker = (endpoint) => {
+    const id = endpointId(endpoint);
+    if (!breakers.has(id)) {
+        breakers.set(id, createCircuitBreaker(llmConfig.circuitBreaker));
+    }
+    return breakers.get(id);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Status code of an axios or OpenAI SDK error
+const statusOf = (error) => error.response?.status || error.status;
+
+// 429 (rate limited) and 503 (Hugging Face "model is loading") are worth retrying
+const isRetryable = (error) => [429, 503].includes(statusOf(error));
+
+// Exponential backoff, honoring a Retry-After header when the upstream sends one
+const backoffDelay = (error, attempt, { baseDelayMs, maxDelayMs }) => {
+    const retryAfter = parseInt(error.response?.headers?.["retry-after"] || error.headers?.["retry-after"]);
+    const delay = Number.isNaN(retryAfter) ? baseDelayMs * 2 ** attempt : retryAfter * 1000;
+    return Math.min(delay, maxDelayMs);
+};
+
+// Start streaming from an endpoint. The first chunk is awaited here so that
+// connection and HTTP errors surface before anything is sent to the client.
+const startStream = async (endpoint, messages, params, signal, tools) => {
+    const stream = getProvider(endpoint.provider, endpoint.options).streamChat({
+        messages,
+        model: endpoint.model,
+        params,
+        timeout: endpoint.timeout,
+        signal,
+        template: endpoint.template,
+        sanitize: endpoint.sanitize !== false,
+        // Endpoints whose server rejects tool definitions set `tools: false`
+        tools: endpoint.tools === false ? undefined : tools
+    });
+    const first = await stream.next();
+
+    return (async function* () {
+        if (first.done) return;
+        yield first.value;
+        yield* stream;
+    })();
+};
+
+const startStreamWithRetry = async (endpoint, messages, params, signal, tools) => {
+    const { retries } = llmConfig.retry;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await startStream(endpoint, messages, params, signal, tools);
+        } catch (error) {
+            if (signal?.aborted || attempt >= retries || !isRetryable(error)) throw error;
+
+            const delay = backoffDelay(error, attempt, llmConfig.retry);
+            logger.warn(`Model ${endpoint.model} returned ${statusOf(error)}, retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+};
+
+// Open a completion stream on the first healthy endpoint in the configured
+// order. `messages` is either a messages array or a function building one
+// for a given endpoint. Resolves with the endpoint that answered, the
+// messages sent to it and its delta stream. Aborting `signal` cancels the
+// request without counting against the endpoint. `tools` are offered to
+// providers that support function calling.
+const openStream = async (messages, params = llmConfig.params, endpoints = llmConfig.endpoints, { signal, tools } = {}) => {
+    let lastError = null;
+
+    for (const endpoint of endpoints) {
+        let endpointMessages;
+        try {
+            endpointMessages = typeof messages === "function" ? messages(endpoint) : messages;
+        } catch (error) {
+            logger.warn(`Skipping model ${endpoint.model}: ${error.message}`);
+            lastError = error;
+            continue;
+        }
+
+        const breaker = getBreaker(endpoint);
+        if (!breaker.canRequest()) {
+            logger.warn(`Skipping model ${endpoint.model}: circuit open`);
+            continue;
+        }
+
+        try {
+            const stream = await startStreamWithRetry(endpoint, endpointMessages, params, signal, tools);
+            breaker.recordSuccess();
+            return { endpoint, messages: endpointMessages, stream };
+        } catch (error) {
+            if (signal?.aborted) {
+                breaker.releaseTrial();
+                throw error;
+            }
+
+            breaker.recordFailure();
+            logger.warn(`Model ${endpoint.model} failed: ${error.message}`);
+            lastError = error;
+        }
+    }
+
+    throw lastError || new Error("No model endpoints available");
+};
+
+// Run a completion to the end and return the full text, with the usage
+// when the provider reports it
+const complete = async (messages, params = llmConfig.params, endpoints = llmConfig.endpoints) => {
+    const { endpoint, stream } = await openStream(messages, params, endpoints);
+
+    let text = "";
+    let usage = null;
+    for await (const chunk of stream) {
+        if (chunk.content) text += chunk.content;
+        if (chunk.usage) usage = chunk.usage;
+    }
+
+    return { endpoint, text: text.trim(), usage };
+};
+
+module.exports = { openStream, complete, getBreaker };
@@ -0,0 +1,44 @@
+const axios = require("axios");
+const injectionConfig = require("../../config/promptInjection");
+const { readEvents, tgiEvents } = require("./stream");
+const { templateFor, formatPrompt, sanitizeMessages } = require("./templates");
+
+// Hugging Face Inference API text-generation adapter
+const createHuggingFaceProvider = ({ apiUrl, apiKey }) => {
+    // `template` names the prompt format (see templates.js); by default it
+    // is chosen from the model name. Its control tokens are neutralized in
+    // message content, which would otherwise be able to end its turn.
+    async function* streamChat({ messages, model, params = {}, timeout, signal, template }) {
+        const format = templateFor(model, template);
+        const response = await axios.post(
+            `${apiUrl}/${model}`,
+            {
+                inputs: formatPrompt(sanitizeMessages(messages, format, injectionConfig.controlTokens), model, format),
+                parameters: {
+                    max_new_tokens: params.maxTokens,
+                    temperature: params.temperature,
+                    top_p: params.topP,
+                    return_full_text: false,
+                    stream: true
+                }
+            },
+            {
+                headers: {
+                    Authorization: `Bearer ${apiKey}`
+                },
+                responseType: "stream",
+                timeout,
+                signal
+            }
+        );
+
+        const state = {};
+        for await (const data of readEvents(response.data)) {
+            yield* tgiEvents(data, state);
+        }
+    }
+
+    return { name: "huggingface", streamChat };
+};
+
+module.exports = createHuggingFaceProvider;
@@ -0,0 +1,38 @@
+const llmConfig = require("../../config/llm");
+const createHuggingFaceProvider = require("./huggingface");
+const createOpenAICompatibleProvider = require("./openaiCompatible");
+const createOpenAIProvider = require("./openai");
+
+// Each provider exposes streamChat({ messages, model, params, timeout, signal, tools }),
+// an async generator yielding { content } deltas and, when the upstream
+// reports it, a final { usage: { promptTokens, completionTokens } } event.
+// Providers supporting function calling offer `tools` (OpenAI tool
+// definitions) to the model and yield the calls it makes as
+// { toolCalls: [{ id, name, arguments }] }; the others ignore `tools`.
+// Aborting `signal` cancels the upstream request. Providers sending a single
+// prompt string format it with the endpoint's `template` (see templates.js).
+
+// Provider factories keyed by the LLM_PROVIDER name
+const factories = {
+    huggingface: createHuggingFaceProvider,
+    "openai-compatible": createOpenAICompatibleProvider,
+    openai: createOpenAIProvider
+};
+
+const providers = new Map();
+
+// Return the (cached) provider instance for the given name. `options`
+// overrides the provider's configured settings (e.g. a different baseUrl).
+const getProvider = (name = llmConfig.provider, options = {}) => {
+    const key = `${name}:${JSON.stringify(options)}`;
+    if (!providers.has(key)) {
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+        providers.set(key, factory({ ...llmConfig[name], ...options }));
+    }
+    return providers.get(key);
+};
+
+module.exports = { getProvider };
@@ -0,0 +1,30 @@
+const OpenAI = require("openai");
+const { openAIEvents, pendingToolCalls } = require("./stream");
+
+// Adapter for the official OpenAI SDK
+const createOpenAIProvider = ({ baseUrl, apiKey }) => {
+    const client = new OpenAI({ apiKey, baseURL: baseUrl });
+
+    async function* streamChat({ messages, model, params = {}, timeout, signal, tools }) {
+        const stream = await client.chat.completions.create({
+            model,
+            messages,
+            max_tokens: params.maxTokens,
+            temperature: params.temperature,
+            top_p: params.topP,
+            tools,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { timeout, signal });
+
+        const state = {};
+        for await (const chunk of stream) {
+            yield* openAIEvents(chunk, state);
+        }
+        yield* pendingToolCalls(state);
+    }
+
+    return { name: "openai", streamChat };
+};
+
+module.exports = createOpenAIProvider;
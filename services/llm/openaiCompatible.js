@@ -0,0 +1,49 @@
+const axios = require("axios");
+const { readEvents, openAIEvents, pendingToolCalls } = require("./stream");
+const { templateFor, sanitizeMessages } = require("./templates");
+const injectionConfig = require("../../config/promptInjection");
+
+// Adapter for servers exposing an OpenAI-compatible /v1/chat/completions
+// endpoint (LM Studio, llama.cpp server, vLLM). These servers render the
+// model's prompt template themselves and parse its control tokens, so they
+// are neutralized in message content as for Hugging Face, unless the
+// endpoint sets `sanitize: false`.
+const createOpenAICompatibleProvider = ({ baseUrl, apiKey }) => {
+    async function* streamChat({ messages, model, params = {}, timeout, signal, tools, template, sanitize = true }) {
+        const headers = {};
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const response = await axios.post(
+            `${baseUrl.replace(/\/$/, "")}/chat/completions`,
+            {
+                model,
+                messages: sanitize
+                    ? sanitizeMessages(messages, templateFor(model, template), injectionConfig.controlTokens)
+                    : messages,
+                max_tokens: params.maxTokens,
+                temperature: params.temperature,
+                top_p: params.topP,
+                tools,
+                stream: true
+            },
+            {
+                headers,
+                responseType: "stream",
+                timeout,
+                signal
+            }
+        );
+
+        const state = {};
+        for await (const data of readEvents(response.data)) {
+            yield* openAIEvents(data, state);
+        }
+        yield* pendingToolCalls(state);
+    }
+
+    return { name: "openai-compatible", streamChat };
+};
+
+module.exports = createOpenAICompatibleProvider;
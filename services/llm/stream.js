@@ -0,0 +1,159 @@
+const { StringDecoder } = require("string_decoder");
+const logger = require("../../utils/logger");
+
+// Incremental decoder for a server-sent event stream. `push(chunk)` accepts
+// Buffers or strings split anywhere, including inside a line or a multi-byte
+// UTF-8 character, and returns the `data` of every event completed by the
+// chunk. `end()` returns the data of a final event not followed by a blank
+// line. Multi-line data is joined with "\n"; comments and other fields
+// (event, id, retry) are ignored.
+const createSseDecoder = () => {
+    const decoder = new StringDecoder("utf8");
+    let buffer = "";
+    let dataLines = [];
+
+    const dispatch = (events) => {
+        if (dataLines.length) {
+            events.push(dataLines.join("\n"));
+            dataLines = [];
+        }
+    };
+
+    const processLine = (line, events) => {
+        if (line === "") {
+            dispatch(events);
+            return;
+        }
+        if (line.startsWith(":")) return;
+
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? "" : line.slice(colon + 1);
+        if (value.startsWith(" ")) value = value.slice(1);
+
+        if (field === "data") {
+            dataLines.push(value);
+        }
+    };
+
+    const push = (chunk) => {
+        buffer += typeof chunk === "string" ? chunk : decoder.write(chunk);
+
+        const events = [];
+        let newline;
+        while ((newline = buffer.search(/\r\n|\r|\n/)) !== -1) {
+            // A trailing "\r" may be the first half of "\r\n"
+            if (buffer[newline] === "\r" && newline === buffer.length - 1) break;
+
+            const length = buffer.startsWith("\r\n", newline) ? 2 : 1;
+            processLine(buffer.slice(0, newline), events);
+            buffer = buffer.slice(newline + length);
+        }
+        return events;
+    };
+
+    const end = () => {
+        const events = [];
+        buffer += decoder.end();
+        if (buffer) {
+            processLine(buffer.replace(/\r$/, ""), events);
+            buffer = "";
+        }
+        dispatch(events);
+        return events;
+    };
+
+    return { push, end };
+};
+
+// Read an upstream server-sent event stream and yield each parsed JSON
+// payload, stopping at "[DONE]". Payloads that are not JSON are logged and
+// skipped.
+async function* readEvents(stream) {
+    const decoder = createSseDecoder();
+
+    const parse = function* (events) {
+        for (const data of events) {
+            const payload = data.trim();
+            if (payload === "[DONE]") return true;
+            if (!payload) continue;
+
+            try {
+                yield JSON.parse(payload);
+            } catch (error) {
+                logger.error("Error parsing streaming data:", error);
+            }
+        }
+        return false;
+    };
+
+    for await (const chunk of stream) {
+        if (yield* parse(decoder.push(chunk))) return;
+    }
+    yield* parse(decoder.end());
+}
+
+// Map a Hugging Face text-generation-inference event to provider events.
+// Tokens arrive in `token.text`; the final event also carries the whole
+// `generated_text`, which is only used when no tokens were streamed.
+// `state` is shared by the events of one stream.
+const tgiEvents = (data, state) => {
+    if (data.error) {
+        const error = new Error(data.error);
+        error.code = data.error_type;
+        throw error;
+    }
+
+    const events = [];
+    if (data.token) {
+        if (!data.token.special && data.token.text) {
+            state.streamed = true;
+            events.push({ content: data.token.text });
+        }
+    } else if (data.generated_text && !state.streamed) {
+        events.push({ content: data.generated_text });
+    }
+    return events;
+};
+
+// Tool calls assembled so far, as a { toolCalls: [{ id, name, arguments }] }
+// event, clearing them from `state`
+const pendingToolCalls = (state) => {
+    const calls = (state.toolCalls || []).filter(Boolean);
+    state.toolCalls = [];
+    return calls.length ? [{ toolCalls: calls }] : [];
+};
+
+// Map an OpenAI chat completion chunk to provider events. Tool calls arrive
+// in fragments (the id and name first, then pieces of the JSON arguments)
+// and are collected in `state` until the choice finishes.
+const openAIEvents = (data, state = {}) => {
+    const events = [];
+    const choice = data.choices?.[0];
+    const content = choice?.delta?.content;
+    if (content) {
+        events.push({ content });
+    }
+    for (const fragment of choice?.delta?.tool_calls || []) {
+        state.toolCalls = state.toolCalls || [];
+        const call = state.toolCalls[fragment.index] = state.toolCalls[fragment.index] || { id: null, name: "", arguments: "" };
+        call.id = fragment.id || call.id;
+        call.name += fragment.function?.name || "";
+        call.arguments += fragment.function?.arguments || "";
+    }
+    if (choice?.finish_reason) {
+        events.push(...pendingToolCalls(state));
+    }
+    // Reported by servers that support usage in streamed responses
+    if (data.usage) {
+        events.push({
+            usage: {
+                promptTokens: data.usage.prompt_tokens,
+                completionTokens: data.usage.completion_tokens
+            }
+        });
+    }
+    return events;
+};
+
+module.exports = { createSseDecoder, readEvents, tgiEvents, openAIEvents, pendingToolCalls };
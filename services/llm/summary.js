@@ -0,0 +1,84 @@
+const llmConfig = require("../../config/llm");
+const { complete } = require("./fallback");
+const { countTokens, countMessageTokens, countMessagesTokens } = require("./tokens");
+const { truncateText } = require("./context");
+
+const SUMMARY_INSTRUCTIONS = "You maintain a running summary of a conversation between a user and an AI assistant. "
+    + "Update the existing summary with the new turns. Keep names, facts, decisions and open questions; "
+    + "drop small talk. Reply with the updated summary only, in at most a few short paragraphs.";
+
+const formatTranscript = (turns) => turns
+    .map(turn => `User: ${turn.user}\nAssistant: ${turn.assistant}`)
+    .join("\n\n");
+
+const summaryMessages = (previousSummary, turns) => [
+    { role: "system", content: SUMMARY_INSTRUCTIONS },
+    {
+        role: "user",
+        content: `Existing summary:\n${previousSummary || "(none)"}\n\nNew turns:\n${formatTranscript(turns)}`
+    }
+];
+
+// Split turns into batches that each fit the context window of `endpoint`
+// next to the instructions, the summary and the reserved summary tokens.
+const batchTurns = (turns, endpoint) => {
+    const model = endpoint.model;
+    const contextWindow = endpoint.contextWindow || llmConfig.context.contextWindow;
+    const budget = contextWindow
+        - countMessageTokens({ content: SUMMARY_INSTRUCTIONS }, model)
+        - 2 * llmConfig.summary.maxTokens
+        - 64;
+    const maxTurnTokens = Math.floor(budget / 2);
+
+    const batches = [];
+    let batch = [];
+    let batchTokens = 0;
+
+    for (const turn of turns) {
+        const fitted = {
+            user: truncateText(turn.user, Math.floor(maxTurnTokens / 2), model),
+            assistant: truncateText(turn.assistant, Math.floor(maxTurnTokens / 2), model)
+        };
+        const tokens = countTokens(formatTranscript([fitted]), model);
+
+        if (batch.length && batchTokens + tokens > budget) {
+            batches.push(batch);
+            batch = [];
+            batchTokens = 0;
+        }
+        batch.push(fitted);
+        batchTokens += tokens;
+    }
+    if (batch.length) batches.push(batch);
+
+    return batches;
+};
+
+// Fold `turns` into `previousSummary`, one batch at a time, with the
+// conversation's `endpoints` (see resolveSettings). Resolves with the
+// summary, the model that wrote it and the tokens used, estimated when the
+// provider does not report them.
+const summarizeTurns = async (turns, previousSummary = "", endpoints = llmConfig.endpoints) => {
+    const params = {
+        ...llmConfig.params,
+        maxTokens: llmConfig.summary.maxTokens,
+        temperature: llmConfig.summary.temperature
+    };
+
+    let summary = previousSummary;
+    let model = null;
+    const usage = { promptTokens: 0, completionTokens: 0 };
+
+    for (const batch of batchTurns(turns, endpoints[0])) {
+        const messages = summaryMessages(summary, batch);
+        const result = await complete(messages, params, endpoints);
+        summary = result.text;
+        model = result.endpoint.model;
+        usage.promptTokens += result.usage?.promptTokens ?? countMessagesTokens(messages, model);
+        usage.completionTokens += result.usage?.completionTokens ?? countTokens(result.text, model);
+    }
+
+    return { summary, model, usage };
+};
+
+module.exports = { summarizeTurns };
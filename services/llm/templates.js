@@ -0,0 +1,127 @@
+// Prompt templates for text-generation endpoints that take a single prompt
+// string rather than a messages array. Each template turns a messages array
+// (an optional system message, then user and assistant turns ending with a
+// user turn) into the prompt format the model was trained on, ending where
+// the assistant's answer starts.
+
+// Split off the system prompt and fold it into the first user turn, for
+// formats without a system role
+const withSystemInFirstTurn = (messages) => {
+    const system = messages.filter(msg => msg.role === "system").map(msg => msg.content).join("\n\n");
+    const turns = messages.filter(msg => msg.role !== "system").map(msg => ({ ...msg }));
+
+    const first = turns.find(msg => msg.role === "user");
+    if (system && first) {
+        first.content = `${system}\n\n${first.content}`;
+    }
+    return turns;
+};
+
+const splitSystem = (messages) => ({
+    system: messages.filter(msg => msg.role === "system").map(msg => msg.content).join("\n\n"),
+    turns: messages.filter(msg => msg.role !== "system")
+});
+
+// <s>[INST] user [/INST] assistant</s>[INST] user [/INST]
+const mistral = (messages) => "<s>" + withSystemInFirstTurn(messages).map(msg => msg.role === "user"
+    ? `[INST] ${msg.content} [/INST]`
+    : ` ${msg.content}</s>`
+).join("");
+
+// <s>[INST] <<SYS>>\nsystem\n<</SYS>>\n\nuser [/INST] assistant </s><s>[INST] user [/INST]
+const llama2 = (messages) => {
+    const { system, turns } = splitSystem(messages);
+    let first = true;
+
+    return turns.map(msg => {
+        if (msg.role !== "user") {
+            return ` ${msg.content} </s>`;
+        }
+        const content = first && system ? `<<SYS>>\n${system}\n<</SYS>>\n\n${msg.content}` : msg.content;
+        first = false;
+        return `<s>[INST] ${content} [/INST]`;
+    }).join("");
+};
+
+const llama3 = (messages) => "<|begin_of_text|>" +
+    messages.map(msg => `<|start_header_id|>${msg.role}<|end_header_id|>\n\n${msg.content}<|eot_id|>`).join("") +
+    "<|start_header_id|>assistant<|end_header_id|>\n\n";
+
+const chatml = (messages) =>
+    messages.map(msg => `<|im_start|>${msg.role}\n${msg.content}<|im_end|>\n`).join("") +
+    "<|im_start|>assistant\n";
+
+const gemma = (messages) => "<bos>" +
+    withSystemInFirstTurn(messages)
+        .map(msg => `<start_of_turn>${msg.role === "user" ? "user" : "model"}\n${msg.content}<end_of_turn>\n`)
+        .join("") +
+    "<start_of_turn>model\n";
+
+// Fallback for models without a chat format
+const plain = (messages) => {
+    const { system, turns } = splitSystem(messages);
+    const lines = turns.map(msg => `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content}`);
+    return [system, ...lines, "Assistant:"].filter(Boolean).join("\n\n");
+};
+
+const TEMPLATES = { mistral, llama2, llama3, chatml, gemma, plain };
+
+// Control tokens of each format. Message content must not be able to
+// produce them, or a user could close their turn and write one for the
+// system or the assistant. Formats that are not known (plain) are guarded
+// against the tokens of every format.
+const MISTRAL_TOKENS = /\[\/?INST\]|<\/?s>/gi;
+const LLAMA2_TOKENS = /\[\/?INST\]|<\/?s>|<<\/?SYS>>/gi;
+const HEADER_TOKENS = /<\|[a-z0-9_]+\|>/gi;
+const GEMMA_TOKENS = /<\/?(?:bos|eos|pad|start_of_turn|end_of_turn)>/gi;
+
+const CONTROL_TOKENS = {
+    mistral: MISTRAL_TOKENS,
+    llama2: LLAMA2_TOKENS,
+    llama3: HEADER_TOKENS,
+    chatml: HEADER_TOKENS,
+    gemma: GEMMA_TOKENS,
+    plain: new RegExp([LLAMA2_TOKENS, HEADER_TOKENS, GEMMA_TOKENS].map(pattern => pattern.source).join("|"), "gi")
+};
+
+// Neutralize the control tokens of `template` in `text`. "escape" inserts a
+// zero-width space after the first character, so the text reads the same
+// but no longer tokenizes as the control token; "strip" removes them.
+const sanitizeContent = (text, template, mode = "escape") => text.replace(
+    CONTROL_TOKENS[template],
+    token => mode === "strip" ? "" : `${token[0]}\u200b${token.slice(1)}`
+);
+
+// The messages with the control tokens of `template` neutralized
+const sanitizeMessages = (messages, template, mode) => messages.map(msg => typeof msg.content === "string"
+    ? { ...msg, content: sanitizeContent(msg.content, template, mode) }
+    : msg
+);
+
+// Model name patterns, checked in order
+const MODEL_PATTERNS = [
+    [/llama-?3/i, "llama3"],
+    [/llama-?2/i, "llama2"],
+    [/mistral|mixtral|zephyr/i, "mistral"],
+    [/gemma/i, "gemma"],
+    [/qwen|chatml|hermes|openchat|yi-/i, "chatml"]
+];
+
+// The template for an endpoint: its `template` setting when given,
+// otherwise guessed from the model name, falling back to plain
+const templateFor = (model, template) => {
+    if (template) {
+        if (!TEMPLATES[template]) {
+            throw new Error(`Unknown prompt template: ${template}`);
+        }
+        return template;
+    }
+
+    const match = MODEL_PATTERNS.find(([pattern]) => pattern.test(model || ""));
+    return match ? match[1] : "plain";
+};
+
+// Format messages as a prompt for `model`
+const formatPrompt = (messages, model, template) => TEMPLATES[templateFor(model, template)](messages);
+
+module.exports = { TEMPLATES, CONTROL_TOKENS, templateFor, formatPrompt, sanitizeContent, sanitizeMessages };
@@ -0,0 +1,32 @@
+// Approximate tokenizer. No model tokenizers are bundled, so token counts are
+// estimated from the average characters per token of each model family.
+const CHARS_PER_TOKEN = [
+    { pattern: /gpt|openai/i, ratio: 4 },
+    { pattern: /llama/i, ratio: 3.5 },
+    { pattern: /mistral|mixtral/i, ratio: 3.5 },
+    { pattern: /gemma/i, ratio: 4 }
+];
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+
+// Tokens spent on role markers and separators for every message
+const MESSAGE_OVERHEAD = 4;
+
+const charsPerToken = (model = "") => {
+    const family = CHARS_PER_TOKEN.find(({ pattern }) => pattern.test(model));
+    return family ? family.ratio : DEFAULT_CHARS_PER_TOKEN;
+};
+
+const countTokens = (text, model) => Math.ceil((text || "").length / charsPerToken(model));
+
+const countMessageTokens = (message, model) => countTokens(message.content, model) + MESSAGE_OVERHEAD;
+
+const countMessagesTokens = (messages, model) =>
+    messages.reduce((total, message) => total + countMessageTokens(message, model), 0);
+
+module.exports = {
+    MESSAGE_OVERHEAD,
+    charsPerToken,
+    countTokens,
+    countMessageTokens,
+    countMessagesTokens
+};
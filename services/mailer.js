@@ -0,0 +1,44 @@
+const fs = require("fs/promises");
+const path = require("path");
+const axios = require("axios");
+const mailConfig = require("../config/mail");
+const logger = require("../utils/logger");
+
+// Mail transports keyed by MAIL_TRANSPORT. Each one sends a
+// { from, to, subject, text } message.
+const transports = {
+    console: async (message) => {
+        logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+
+    file: async (message) => {
+        await fs.mkdir(path.dirname(mailConfig.file.path), { recursive: true });
+        await fs.appendFile(
+            mailConfig.file.path,
+            JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+        );
+    },
+
+    http: async (message) => {
+        await axios.post(mailConfig.http.url, message, {
+            headers: mailConfig.http.apiKey ? { Authorization: `Bearer ${mailConfig.http.apiKey}` } : {},
+            timeout: 10000
+        });
+    }
+};
+
+// Register an additional transport, e.g. one backed by an SMTP library
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    const send = transports[mailConfig.transport];
+    if (!send) {
+        throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+
+    await send({ from: mailConfig.from, to, subject, text });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,49 @@
+const axios = require("axios");
+const llmConfig = require("../../config/llm");
+
+// Model-based classifiers. Each resolves with the categories whose score
+// reaches `threshold` (empty when the text is fine).
+
+const DEFAULT_MODELS = {
+    openai: "omni-moderation-latest",
+    huggingface: "unitary/toxic-bert"
+};
+
+// OpenAI's moderation endpoint
+const openai = async (text, { model, threshold, timeout }) => {
+    const { baseUrl, apiKey } = llmConfig.openai;
+    const response = await axios.post(
+        `${(baseUrl || "https://api.openai.com/v1").replace(/\/$/, "")}/moderations`,
+        { model, input: text },
+        { headers: { Authorization: `Bearer ${apiKey}` }, timeout }
+    );
+
+    const scores = response.data.results[0].category_scores;
+    return Object.keys(scores).filter(category => scores[category] >= threshold);
+};
+
+// Hugging Face text-classification models, whose labels are the categories
+const huggingface = async (text, { model, threshold, timeout }) => {
+    const { apiUrl, apiKey } = llmConfig.huggingface;
+    const response = await axios.post(
+        `${apiUrl}/${model}`,
+        { inputs: text, options: { wait_for_model: true } },
+        { headers: { Authorization: `Bearer ${apiKey}` }, timeout }
+    );
+
+    // One list of { label, score } per input
+    const labels = Array.isArray(response.data[0]) ? response.data[0] : response.data;
+    return labels.filter(({ score }) => score >= threshold).map(({ label }) => label);
+};
+
+const CLASSIFIERS = { openai, huggingface };
+
+const classify = (text, { provider, model, threshold, timeout }) => {
+    const classifier = CLASSIFIERS[provider];
+    if (!classifier) {
+        throw new Error(`Unknown moderation classifier: ${provider}`);
+    }
+    return classifier(text, { model: model || DEFAULT_MODELS[provider], threshold, timeout });
+};
+
+module.exports = { classify };
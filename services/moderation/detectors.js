@@ -0,0 +1,48 @@
+// Regular expressions finding personal data and secrets. Each detector has
+// a global `pattern` and optionally `isMatch(text)` to discard false
+// positives.
+
+// Luhn checksum of a card number, ignoring spaces and dashes
+const luhnValid = (text) => {
+    const digits = text.replace(/\D/g, "");
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+const DETECTORS = {
+    // Provider keys with recognizable prefixes, and JWTs
+    apiKey: {
+        pattern: new RegExp([
+            "\\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}",
+            "\\bhf_[A-Za-z0-9]{30,}",
+            "\\bgh[pousr]_[A-Za-z0-9]{36,}",
+            "\\bxox[abprs]-[A-Za-z0-9-]{10,}",
+            "\\bAKIA[0-9A-Z]{16}\\b",
+            "\\bAIza[0-9A-Za-z_-]{35}",
+            "\\beyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}"
+        ].join("|"), "g")
+    },
+    card: {
+        pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+        isMatch: luhnValid
+    },
+    email: {
+        pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi
+    },
+    // Numbers with separators, like +44 20 7946 0958 or (555) 123-4567
+    phone: {
+        pattern: /(?<![\w+]|\d[\s.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}(?!\w|[\s.-]\d)/g
+    }
+};
+
+module.exports = { DETECTORS, luhnValid };
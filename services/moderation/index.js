@@ -0,0 +1,150 @@
+const moderationConfig = require("../../config/moderation");
+const { DETECTORS } = require("./detectors");
+const { classify } = require("./classifier");
+const logger = require("../../utils/logger");
+
+// Hooks run on user messages before generation ("input") and on model
+// responses after it ("output"), applying the rules of config/moderation.js
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const matchers = new Map();
+
+// { pattern, isMatch } finding the matches of a text-based rule
+const matcherFor = (rule) => {
+    if (!matchers.has(rule)) {
+        let matcher;
+        if (rule.type === "blocklist") {
+            matcher = { pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${rule.terms.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`, "giu") };
+        } else if (rule.type === "pii") {
+            matcher = DETECTORS[rule.detector];
+            if (!matcher) throw new Error(`Unknown PII detector: ${rule.detector}`);
+        } else if (rule.type === "pattern") {
+            matcher = { pattern: new RegExp(rule.pattern, (rule.flags || "").replace("g", "") + "g") };
+        } else {
+            throw new Error(`Unknown moderation rule type: ${rule.type}`);
+        }
+        matchers.set(rule, matcher);
+    }
+    return matchers.get(rule);
+};
+
+const findMatches = (rule, text) => {
+    const { pattern, isMatch } = matcherFor(rule);
+    return [...text.matchAll(pattern)].filter(match => !isMatch || isMatch(match[0]));
+};
+
+const redactMatches = (rule, text) => {
+    const { pattern, isMatch } = matcherFor(rule);
+    return text.replace(pattern, (match) => !isMatch || isMatch(match) ? `[REDACTED:${rule.name}]` : match);
+};
+
+const rulesFor = (stage) => moderationConfig.enabled
+    ? moderationConfig.rules.filter(rule => rule.stages.includes(stage))
+    : [];
+
+// Categories a classifier rule reports for `text`. Classifier outages let
+// the text through rather than failing the chat.
+const classifierCategories = async (rule, text) => {
+    try {
+        return await classify(text, { ...rule, timeout: moderationConfig.classifierTimeoutMs });
+    } catch (error) {
+        logger.error(`Moderation classifier ${rule.name} error:`, error);
+        return [];
+    }
+};
+
+// Apply the rules of `stage` to `text`. Resolves with { text, blocked,
+// flagged, flags }: the text with redactions applied, whether a block or
+// flag rule matched, and a { stage, rule, action, count | categories }
+// entry per matching rule.
+const moderate = async (text, stage) => {
+    const result = { text, blocked: false, flagged: false, flags: [] };
+
+    for (const rule of rulesFor(stage)) {
+        let finding;
+        let action = rule.action;
+
+        if (rule.type === "classifier") {
+            const categories = await classifierCategories(rule, result.text);
+            finding = categories.length && { categories };
+            if (action === "redact") action = "flag";
+        } else {
+            const count = findMatches(rule, result.text).length;
+            finding = count && { count };
+        }
+        if (!finding) continue;
+
+        result.flags.push({ stage, rule: rule.name, action, ...finding });
+        if (action === "block") {
+            result.blocked = true;
+        } else if (action === "flag") {
+            result.flagged = true;
+        } else if (action === "redact") {
+            result.text = redactMatches(rule, result.text);
+        }
+    }
+
+    return result;
+};
+
+// `text` with the redact rules of `stage` applied, for text that is stored
+// without being moderated as a message, such as tool call arguments
+const redact = (text, stage) => rulesFor(stage)
+    .filter(rule => rule.action === "redact" && rule.type !== "classifier")
+    .reduce((redacted, rule) => redactMatches(rule, redacted), text);
+
+// Moderate a response as it streams. Text is passed on once it is more
+// than `streamHoldback` characters behind the end, so that a match split
+// across deltas is complete before any of it is sent: redact rules are
+// applied to it, and once a block rule matches nothing more is passed on
+// and `blocked` is set. Classifier block rules can only judge the whole
+// response, so with one of them nothing is passed on until it has been
+// moderated. push(content) returns the text that can be sent; end() the
+// rest, to be sent only if moderate() did not block the response.
+const createStreamRedactor = (stage = "output") => {
+    const rules = rulesFor(stage);
+    const redactRules = rules.filter(rule => rule.action === "redact" && rule.type !== "classifier");
+    const blockRules = rules.filter(rule => rule.action === "block" && rule.type !== "classifier");
+    const holdAll = rules.some(rule => rule.action === "block" && rule.type === "classifier");
+    const redactAll = (text) => redactRules.reduce((redacted, rule) => redactMatches(rule, redacted), text);
+    let pending = "";
+    // The end of the text already passed on, where a block match may start
+    let sent = "";
+    let blocked = false;
+
+    if (!redactRules.length && !blockRules.length && !holdAll) {
+        return { push: (content) => content, end: () => "", blocked: false };
+    }
+
+    return {
+        push: (content) => {
+            if (blocked) return "";
+
+            pending += content;
+            if (blockRules.some(rule => findMatches(rule, sent + pending).length)) {
+                blocked = true;
+                pending = "";
+                return "";
+            }
+            if (holdAll) return "";
+
+            pending = redactAll(pending);
+            const ready = Math.max(pending.length - moderationConfig.streamHoldback, 0);
+            const text = pending.slice(0, ready);
+            pending = pending.slice(ready);
+            sent = (sent + text).slice(-moderationConfig.streamHoldback);
+            return text;
+        },
+        end: () => {
+            const text = blocked ? "" : redactAll(pending);
+            pending = "";
+            return text;
+        },
+        get blocked() {
+            return blocked;
+        }
+    };
+};
+
+module.exports = { moderate, redact, createStreamRedactor };
@@ -0,0 +1,154 @@
+const InjectionMetric = require("../models/InjectionMetric");
+const injectionConfig = require("../config/promptInjection");
+const { CONTROL_TOKENS } = require("./llm/templates");
+const { dayKey } = require("./usageService");
+const logger = require("../utils/logger");
+
+// Heuristics for prompt-injection and jailbreak attempts, in user messages
+// and in the document passages added to the prompt. Each signal adds to a
+// score between 0 and 1: 1 - the product of (1 - weight) over the signals
+// found, so one strong signal or several weak ones cross the threshold.
+const SIGNALS = [
+    {
+        name: "ignore_instructions",
+        weight: 0.6,
+        pattern: /\b(?:ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(?:previous|prior|above|earlier|preceding|all|any|your|system)\b[^.\n]{0,20}\b(?:instructions?|prompts?|rules|directions|guidelines)\b/i
+    },
+    {
+        name: "reveal_prompt",
+        weight: 0.5,
+        pattern: /\b(?:reveal|show|print|repeat|output|display|leak)\b[^.\n]{0,30}\b(?:system prompt|initial prompt|hidden (?:prompt|instructions)|developer message|(?:your|the) (?:original |initial )?instructions)\b/i
+    },
+    {
+        name: "role_override",
+        weight: 0.4,
+        pattern: /\b(?:you are now|from now on,? you|act as|pretend (?:to be|you are)|roleplay as)\b[^.\n]{0,40}\b(?:unrestricted|unfiltered|uncensored|jailbroken|DAN|without (?:any )?(?:rules|restrictions|limits|filters))/i
+    },
+    {
+        name: "jailbreak_terms",
+        weight: 0.4,
+        pattern: /\b(?:jailbreak|jailbroken|DAN mode|do anything now|developer mode enabled|god mode)\b/i
+    },
+    {
+        name: "no_restrictions",
+        weight: 0.3,
+        pattern: /\b(?:no|without|free of|ignore (?:all|any|your))\b[^.\n]{0,15}\b(?:restrictions|filters|censorship|content polic(?:y|ies)|safety guidelines|ethical guidelines)\b/i
+    },
+    {
+        name: "fake_turn",
+        weight: 0.4,
+        pattern: /(?:^|\n)\s*(?:#{1,3}\s*)?(?:system|developer)\s*(?:prompt|message|instructions?)?\s*:/i
+    },
+    {
+        name: "new_instructions",
+        weight: 0.3,
+        pattern: /\b(?:new|updated|real|actual)\s+(?:system\s+)?instructions?\s*:/i
+    },
+    {
+        name: "control_tokens",
+        weight: 0.5,
+        pattern: new RegExp(CONTROL_TOKENS.plain.source, "i")
+    }
+];
+
+// Score `text`, returning { score, signals }
+const scoreInjection = (text) => {
+    const found = SIGNALS.filter(signal => signal.pattern.test(text));
+    const score = 1 - found.reduce((product, signal) => product * (1 - signal.weight), 1);
+    return { score: Math.round(score * 100) / 100, signals: found.map(signal => signal.name) };
+};
+
+const recordChecks = async (source, { checked, detected, blocked }) => {
+    try {
+        await InjectionMetric.updateOne(
+            { date: dayKey(), source },
+            { $inc: { checked, detected, blocked } },
+            { upsert: true }
+        );
+    } catch (error) {
+        logger.error("Error recording prompt injection metrics:", error);
+    }
+};
+
+// Check document passages ({ chunk, document }, see retrieveSources) about
+// to be given to the model, acting on suspected injections as
+// PROMPT_INJECTION_DOCUMENT_ACTION says. Resolves with the passages to use
+// and warnings for the client.
+const screenPassages = async (sources) => {
+    if (!injectionConfig.enabled || !sources.length) {
+        return { sources, warnings: [] };
+    }
+
+    const { threshold, actions } = injectionConfig;
+    const kept = [];
+    const warnings = [];
+    let detected = 0;
+    for (const source of sources) {
+        const { score, signals } = scoreInjection(source.chunk.text);
+        if (score < threshold) {
+            kept.push(source);
+            continue;
+        }
+
+        detected++;
+        logger.warn(`Possible prompt injection in document ${source.document._id} part ${source.chunk.index + 1}: score ${score} (${signals.join(", ")})`);
+        if (actions.document !== "block") {
+            kept.push(source);
+        }
+        if (actions.document !== "log") {
+            warnings.push({
+                type: "prompt_injection",
+                source: "document",
+                documentId: source.document._id,
+                filename: source.document.filename,
+                chunkIndex: source.chunk.index,
+                score,
+                signals,
+                excluded: actions.document === "block"
+            });
+        }
+    }
+    await recordChecks("document", {
+        checked: sources.length,
+        detected,
+        blocked: actions.document === "block" ? detected : 0
+    });
+
+    return { sources: kept, warnings };
+};
+
+// Check a user's message and the document passages retrieved for it (see
+// retrieveSources), acting on suspected injections as configured. Resolves
+// with the passages to use and the { type, source, score, signals }
+// warnings for the client; throws with code PROMPT_INJECTION when the
+// message is blocked.
+const screenInput = async ({ userId, message, sources = [] }) => {
+    if (!injectionConfig.enabled) {
+        return { sources, warnings: [] };
+    }
+
+    const { threshold, actions } = injectionConfig;
+    const warnings = [];
+
+    const result = scoreInjection(message);
+    const messageDetected = result.score >= threshold;
+    const messageBlocked = messageDetected && actions.message === "block";
+    if (messageDetected) {
+        logger.warn(`Possible prompt injection in message from user ${userId}: score ${result.score} (${result.signals.join(", ")})`);
+        if (actions.message === "warn") {
+            warnings.push({ type: "prompt_injection", source: "message", ...result });
+        }
+    }
+    await recordChecks("message", { checked: 1, detected: messageDetected ? 1 : 0, blocked: messageBlocked ? 1 : 0 });
+
+    if (messageBlocked) {
+        const error = new Error("Your message looks like an attempt to override the assistant's instructions");
+        error.code = "PROMPT_INJECTION";
+        throw error;
+    }
+
+    const passages = await screenPassages(sources);
+    return { sources: passages.sources, warnings: [...warnings, ...passages.warnings] };
+};
+
+module.exports = { scoreInjection, screenPassages, screenInput };
@@ -0,0 +1,74 @@
+const streamingConfig = require("../config/streaming");
+const { getStore } = require("../utils/cache");
+const logger = require("../utils/logger");
+
+// The events of a chat stream are kept in the cache store so that a client
+// can reconnect, on any instance, and replay what it missed. Event IDs are
+// positions in the list, starting at 1.
+
+const eventsKey = (streamId) => `chat_stream:${streamId}:events`;
+const ownerKey = (streamId) => `chat_stream:${streamId}:owner`;
+const watchKey = (streamId) => `chat_stream:${streamId}:watched`;
+
+// Record the owner of a stream. Called when it starts and again when it
+// ends, so that the owner is kept as long as the events.
+const setStreamOwner = async (streamId, userId) => {
+    try {
+        await getStore().set(ownerKey(streamId), userId.toString(), streamingConfig.bufferTtlSeconds);
+    } catch (error) {
+        logger.error("Stream buffer error:", error);
+    }
+};
+
+const getStreamOwner = async (streamId) => {
+    try {
+        return await getStore().get(ownerKey(streamId));
+    } catch (error) {
+        logger.error("Stream buffer error:", error);
+        return null;
+    }
+};
+
+// Buffer an event and return its ID, or null when it could not be stored
+const appendEvent = async (streamId, data) => {
+    try {
+        return await getStore().append(eventsKey(streamId), data, streamingConfig.bufferTtlSeconds);
+    } catch (error) {
+        logger.error("Stream buffer error:", error);
+        return null;
+    }
+};
+
+// Events after `lastEventId`, as [{ id, data }]
+const readEvents = async (streamId, lastEventId = 0) => {
+    const events = await getStore().range(eventsKey(streamId), lastEventId);
+    return events.map((data, index) => ({ id: lastEventId + index + 1, data }));
+};
+
+// Reconnected clients mark the stream as watched while they read it, so that
+// generation is not cancelled after the original client went away
+const markWatched = async (streamId) => {
+    try {
+        await getStore().set(watchKey(streamId), "1", Math.ceil(streamingConfig.reconnectGraceMs / 1000));
+    } catch (error) {
+        logger.error("Stream buffer error:", error);
+    }
+};
+
+const isWatched = async (streamId) => {
+    try {
+        return Boolean(await getStore().get(watchKey(streamId)));
+    } catch (error) {
+        logger.error("Stream buffer error:", error);
+        return false;
+    }
+};
+
+module.exports = {
+    setStreamOwner,
+    getStreamOwner,
+    appendEvent,
+    readEvents,
+    markWatched,
+    isWatched
+};
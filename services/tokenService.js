@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+const authConfig = require("../config/auth");
+const { getStore } = require("../utils/cache");
+const logger = require("../utils/logger");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// `iatMs` is the issue time in milliseconds: the standard `iat` is in
+// seconds, too coarse to tell tokens issued right after revokeAllSessions
+// from those it revoked
+const signAccessToken = (user) => jwt.sign(
+    { userId: user._id, jti: crypto.randomUUID(), iatMs: Date.now() },
+    authConfig.jwtSecret,
+    { expiresIn: authConfig.accessTokenTtl }
+);
+
+const createRefreshToken = async (userId, family, meta = {}) => {
+    const token = crypto.randomBytes(48).toString("hex");
+
+    await RefreshToken.create({
+        user_id: userId,
+        tokenHash: hashToken(token),
+        family,
+        userAgent: meta.userAgent,
+        ip: meta.ip,
+        expiresAt: new Date(Date.now() + authConfig.refreshTokenTtl * 1000)
+    });
+
+    return token;
+};
+
+// Issue an access token and a refresh token starting a new session
+const issueTokens = async (user, meta) => ({
+    token: signAccessToken(user),
+    refreshToken: await createRefreshToken(user._id, crypto.randomUUID(), meta),
+    expiresIn: authConfig.accessTokenTtl
+});
+
+// Exchange a refresh token for a new token pair. The old refresh token is
+// revoked; presenting an already revoked token revokes the whole session.
+// Revoking is the check, in one atomic update, so that concurrent requests
+// with the same token can't both pass it.
+const rotateRefreshToken = async (token, meta) => {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+    const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now } }
+    );
+
+    if (!stored) {
+        const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null }, expiresAt: { $gt: now } });
+        if (reused) {
+            logger.warn(`Refresh token reuse detected for user ${reused.user_id}`);
+            await RefreshToken.updateMany(
+                { family: reused.family, revokedAt: null },
+                { revokedAt: now }
+            );
+        }
+        return null;
+    }
+
+    return {
+        userId: stored.user_id,
+        token: signAccessToken({ _id: stored.user_id }),
+        refreshToken: await createRefreshToken(stored.user_id, stored.family, meta),
+        expiresIn: authConfig.accessTokenTtl
+    };
+};
+
+// Revoke one refresh token belonging to a user
+const revokeRefreshToken = async (userId, token) => {
+    await RefreshToken.updateOne(
+        { user_id: userId, tokenHash: hashToken(token), revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+// Access token revocations are read and written through the store directly
+// rather than getCache/setCache, which swallow store errors: a revocation
+// that can't be recorded fails the request instead of silently not
+// happening, and see isAccessTokenRevoked for failed reads.
+const readRevocation = async (key) => {
+    const data = await getStore().get(key);
+    return data ? JSON.parse(data) : null;
+};
+
+const writeRevocation = (key, value, ttl) => getStore().set(key, JSON.stringify(value), ttl);
+
+// Add an access token to the Redis denylist until it expires
+const revokeAccessToken = async (payload) => {
+    const ttl = payload.exp - Math.floor(Date.now() / 1000);
+    if (payload.jti && ttl > 0) {
+        await writeRevocation(`token_denylist:${payload.jti}`, true, ttl);
+    }
+};
+
+// Revoke every refresh token of a user and every access token issued so far
+const revokeAllSessions = async (userId) => {
+    await RefreshToken.updateMany({ user_id: userId, revokedAt: null }, { revokedAt: new Date() });
+    await writeRevocation(`tokens_revoked_before:${userId}`, Date.now(), authConfig.accessTokenTtl);
+};
+
+// Whether an access token was revoked. When the store can't be read this
+// fails closed, throwing an error with status 503, unless
+// AUTH_REVOCATION_FAIL_OPEN accepts tokens during store outages.
+const isAccessTokenRevoked = async (payload) => {
+    try {
+        if (payload.jti && await readRevocation(`token_denylist:${payload.jti}`)) {
+            return true;
+        }
+
+        // Tokens signed before iatMs was added only have `iat`
+        const issuedAt = payload.iatMs ?? payload.iat * 1000;
+        const revokedBefore = await readRevocation(`tokens_revoked_before:${payload.userId}`);
+        return revokedBefore !== null && issuedAt <= revokedBefore;
+    } catch (error) {
+        logger.error("Token revocation check error:", error);
+        if (authConfig.revocationFailOpen) {
+            return false;
+        }
+        const unavailable = new Error("Authentication temporarily unavailable");
+        unavailable.status = 503;
+        throw unavailable;
+    }
+};
+
+// Signing key for email verification and password reset tokens. Binding it
+// to the email or the current password hash makes a token stop working once
+// it has been used.
+const actionSecret = (user, purpose) => purpose === "password_reset"
+    ? `${authConfig.jwtSecret}:${user.password}`
+    : `${authConfig.jwtSecret}:${user.email}`;
+
+const signActionToken = (user, purpose, expiresIn) => jwt.sign(
+    { userId: user._id, purpose },
+    actionSecret(user, purpose),
+    { expiresIn }
+);
+
+// Return the user an action token was issued to, or null if it is invalid,
+// expired or already used
+const verifyActionToken = async (token, purpose) => {
+    const decoded = jwt.decode(token);
+    if (!decoded || decoded.purpose !== purpose) {
+        return null;
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+        return null;
+    }
+
+    try {
+        jwt.verify(token, actionSecret(user, purpose));
+    } catch (error) {
+        return null;
+    }
+
+    if (purpose === "email_verification" && user.emailVerified) {
+        return null;
+    }
+
+    return user;
+};
+
+module.exports = {
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAccessToken,
+    revokeAllSessions,
+    isAccessTokenRevoked,
+    signActionToken,
+    verifyActionToken
+};
@@ -0,0 +1,147 @@
+const toolError = require("./toolError");
+
+// Arithmetic without eval: a recursive-descent parser over numbers, + - * /
+// % ^, parentheses, and the functions and constants below
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    min: Math.min, max: Math.max, pow: Math.pow
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const tokenize = (expression) => {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z][a-z0-9]*)|(\*\*|[-+*/%^(),]))/giy;
+    let match;
+
+    while (pattern.lastIndex < expression.length) {
+        const start = pattern.lastIndex;
+        match = pattern.exec(expression);
+        if (!match) {
+            const rest = expression.slice(start).trim();
+            if (!rest) break;
+            throw toolError(`Unexpected character: ${rest[0]}`);
+        }
+        if (match[1] !== undefined) tokens.push({ type: "number", value: parseFloat(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2].toLowerCase() });
+        else tokens.push({ type: "op", value: match[3] === "**" ? "^" : match[3] });
+    }
+    return tokens;
+};
+
+const evaluate = (expression) => {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = (value) => peek()?.type === "op" && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw toolError(`Expected "${value}"`);
+        position++;
+    };
+
+    // expression := term (("+" | "-") term)*
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (isOp("+") || isOp("-")) {
+            const op = tokens[position++].value;
+            const right = parseTerm();
+            value = op === "+" ? value + right : value - right;
+        }
+        return value;
+    };
+
+    // term := unary (("*" | "/" | "%") unary)*
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (isOp("*") || isOp("/") || isOp("%")) {
+            const op = tokens[position++].value;
+            const right = parseUnary();
+            value = op === "*" ? value * right : op === "/" ? value / right : value % right;
+        }
+        return value;
+    };
+
+    // unary := ("-" | "+") unary | power
+    const parseUnary = () => {
+        if (isOp("-")) {
+            position++;
+            return -parseUnary();
+        }
+        if (isOp("+")) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    // power := primary ("^" unary)?, right-associative
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (isOp("^")) {
+            position++;
+            return base ** parseUnary();
+        }
+        return base;
+    };
+
+    // primary := number | constant | function "(" args ")" | "(" expression ")"
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw toolError("Unexpected end of expression");
+
+        if (token.type === "number") return token.value;
+
+        if (token.type === "name") {
+            if (CONSTANTS[token.value] !== undefined) return CONSTANTS[token.value];
+
+            const fn = FUNCTIONS[token.value];
+            if (!fn) throw toolError(`Unknown function or constant: ${token.value}`);
+
+            expect("(");
+            const args = [parseExpression()];
+            while (isOp(",")) {
+                position++;
+                args.push(parseExpression());
+            }
+            expect(")");
+            return fn(...args);
+        }
+
+        if (token.value === "(") {
+            const value = parseExpression();
+            expect(")");
+            return value;
+        }
+
+        throw toolError(`Unexpected "${token.value}"`);
+    };
+
+    const value = parseExpression();
+    if (position < tokens.length) {
+        throw toolError(`Unexpected "${tokens[position].value}"`);
+    }
+    if (!Number.isFinite(value)) {
+        throw toolError("The result is not a finite number");
+    }
+    return value;
+};
+
+module.exports = {
+    name: "calculator",
+    description: "Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, " +
+        "pi, e and the functions sqrt, cbrt, abs, round, floor, ceil, exp, ln, log, log2, " +
+        "sin, cos, tan, asin, acos, atan, min, max and pow.",
+    parameters: {
+        type: "object",
+        properties: {
+            expression: { type: "string", description: "The expression, e.g. (2 + 3) * sqrt(16)", maxLength: 500 }
+        },
+        required: ["expression"]
+    },
+    execute: async ({ expression }) => ({ expression, result: evaluate(expression) }),
+    evaluate
+};
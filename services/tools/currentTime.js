@@ -0,0 +1,26 @@
+const toolError = require("./toolError");
+
+module.exports = {
+    name: "current_time",
+    description: "Get the current date and time, in UTC or a given IANA time zone.",
+    parameters: {
+        type: "object",
+        properties: {
+            timezone: { type: "string", description: "IANA time zone such as Europe/Paris; defaults to UTC", maxLength: 64 }
+        }
+    },
+    execute: async ({ timezone = "UTC" }) => {
+        const now = new Date();
+        let formatted;
+        try {
+            formatted = new Intl.DateTimeFormat("en-US", {
+                timeZone: timezone,
+                dateStyle: "full",
+                timeStyle: "long"
+            }).format(now);
+        } catch (error) {
+            throw toolError(`Unknown time zone: ${timezone}`);
+        }
+        return { iso: now.toISOString(), timezone, formatted };
+    }
+};
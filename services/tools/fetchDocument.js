@@ -0,0 +1,69 @@
+const Document = require("../../models/Document");
+const DocumentChunk = require("../../models/DocumentChunk");
+const { screenPassages } = require("../promptInjection");
+const toolError = require("./toolError");
+
+module.exports = {
+    name: "fetch_document",
+    description: "Read a document attached to this conversation. Without documentId, lists the attached documents. " +
+        "Long documents are returned a few parts at a time, starting from `part`.",
+    parameters: {
+        type: "object",
+        properties: {
+            documentId: { type: "string", description: "Id of an attached document" },
+            part: { type: "integer", description: "First part to return, starting at 1", minimum: 1 }
+        }
+    },
+    isAvailable: ({ conversation }) => Boolean(conversation.document_ids?.length),
+    // Only documents of the user that are attached to the conversation
+    execute: async ({ documentId, part = 1 }, { user, conversation, maxResultChars }) => {
+        const attached = conversation.document_ids || [];
+
+        if (!documentId) {
+            const documents = await Document.find({ _id: { $in: attached }, user_id: user._id }).lean();
+            return {
+                documents: documents.map(document => ({
+                    documentId: document._id,
+                    filename: document.filename,
+                    parts: document.chunkCount
+                }))
+            };
+        }
+
+        const document = attached.some(id => id.toString() === documentId)
+            && await Document.findOne({ _id: documentId, user_id: user._id }).lean();
+        if (!document) {
+            throw toolError("No such document is attached to this conversation");
+        }
+
+        const chunks = await DocumentChunk.find({ document_id: document._id, index: { $gte: part - 1 } })
+            .sort({ index: 1 })
+            .select("index text")
+            .lean();
+
+        // As many whole parts as fit in the result. Consecutive chunks
+        // overlap, which is harmless here.
+        const selected = [];
+        let length = 0;
+        for (const chunk of chunks) {
+            if (selected.length && length + chunk.text.length > maxResultChars - 500) break;
+            selected.push(chunk);
+            length += chunk.text.length + 2;
+        }
+
+        // Parts are screened for prompt injection like retrieved passages
+        const { sources } = await screenPassages(selected.map(chunk => ({ chunk, document })));
+        const kept = new Set(sources.map(source => source.chunk));
+        const withheld = selected.filter(chunk => !kept.has(chunk)).map(chunk => chunk.index + 1);
+
+        return {
+            documentId: document._id,
+            filename: document.filename,
+            parts: document.chunkCount,
+            fromPart: part,
+            toPart: selected.length ? selected[selected.length - 1].index + 1 : part - 1,
+            text: sources.map(source => source.chunk.text).join("\n\n"),
+            ...(withheld.length ? { withheldParts: withheld, note: "Parts withheld: they look like attempts to override your instructions" } : {})
+        };
+    }
+};
@@ -0,0 +1,137 @@
+const ToolExecution = require("../../models/ToolExecution");
+const toolsConfig = require("../../config/tools");
+const { validateArguments } = require("./schema");
+const toolError = require("./toolError");
+const { redact } = require("../moderation");
+const logger = require("../../utils/logger");
+
+// Server-side tools offered to models that support function calling. Each
+// tool declares a `name`, a `description` and a JSON schema of its
+// `parameters`, and implements execute(args, context), where context is
+// { user, conversation, maxResultChars }. Tools only touch data of
+// `context.user`. The optional isAvailable(context) hides a tool when it
+// has nothing to work on.
+const TOOLS = [
+    require("./currentTime"),
+    require("./calculator"),
+    require("./searchHistory"),
+    require("./fetchDocument")
+];
+
+// Tools the user's role allows, available in the conversation
+const toolsFor = (user, conversation) => {
+    if (!toolsConfig.enabled) {
+        return [];
+    }
+
+    const allowed = toolsConfig.allowed[user.role] || [];
+    return TOOLS.filter(tool =>
+        (!allowed.length || allowed.includes(tool.name)) &&
+        (!tool.isAvailable || tool.isAvailable({ user, conversation }))
+    );
+};
+
+// OpenAI tool definitions for `tools`
+const toolDefinitions = (tools) => tools.map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters }
+}));
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(toolError(`The tool did not finish within ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const parseArguments = (text) => {
+    try {
+        return JSON.parse(text || "{}");
+    } catch (error) {
+        throw toolError("Arguments are not valid JSON");
+    }
+};
+
+// The string values of `value` with the input redact rules applied, so
+// that personal data the model passed to a tool is not kept in the log
+const redactArguments = (value) => {
+    if (typeof value === "string") {
+        return redact(value, "input");
+    }
+    if (Array.isArray(value)) {
+        return value.map(redactArguments);
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactArguments(item)]));
+    }
+    return value;
+};
+
+// Run a tool call made by the model for `context.user`, checking that the
+// tool is allowed and the arguments match its schema, and log it. Resolves
+// with { id, name, arguments, status, result | error, executionId }; errors
+// are reported in `error` rather than thrown, so they can go back to the
+// model.
+const executeToolCall = async ({ id, name, arguments: rawArguments }, context) => {
+    const { user, conversation } = context;
+    const started = Date.now();
+    let args = null;
+    let status = "failed";
+    let result;
+    let error;
+
+    try {
+        const tool = toolsFor(user, conversation).find(candidate => candidate.name === name);
+        if (!tool) {
+            status = "denied";
+            throw toolError(`Tool not available: ${name}`);
+        }
+
+        args = parseArguments(rawArguments);
+        validateArguments(tool.parameters, args);
+        result = await withTimeout(
+            tool.execute(args, { user, conversation, maxResultChars: toolsConfig.maxResultChars }),
+            toolsConfig.timeoutMs
+        );
+        status = "succeeded";
+    } catch (toolFailure) {
+        if (toolFailure.code === "TOOL_ERROR") {
+            error = toolFailure.message;
+        } else {
+            logger.error(`Tool ${name} error:`, toolFailure);
+            error = "The tool failed";
+        }
+    }
+
+    const durationMs = Date.now() - started;
+    logger.info(`Tool ${name} ${status} for user ${user._id} in ${durationMs}ms`);
+
+    let executionId = null;
+    try {
+        const execution = await ToolExecution.create({
+            user_id: user._id,
+            conversation_id: conversation._id,
+            tool: name,
+            arguments: redactArguments(args),
+            status,
+            error,
+            durationMs
+        });
+        executionId = execution._id;
+    } catch (logError) {
+        logger.error("Error logging tool execution:", logError);
+    }
+
+    return { id, name, arguments: args, status, result, error, executionId };
+};
+
+// Content of the tool message returning an execution's outcome to the model
+const toolResultContent = ({ status, result, error }) => {
+    const content = JSON.stringify(status === "succeeded" ? result : { error });
+    return content.length > toolsConfig.maxResultChars
+        ? `${content.slice(0, toolsConfig.maxResultChars)}... (truncated)`
+        : content;
+};
+
+module.exports = { TOOLS, toolsFor, toolDefinitions, executeToolCall, toolResultContent };
@@ -0,0 +1,54 @@
+const toolError = require("./toolError");
+
+// Check tool arguments against the subset of JSON Schema the tools use:
+// an object of string, integer, number and boolean properties with
+// `required`, `enum`, `minimum`, `maximum` and `maxLength`
+const TYPE_CHECKS = {
+    string: value => typeof value === "string",
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === "number" && Number.isFinite(value),
+    boolean: value => typeof value === "boolean"
+};
+
+const validateArguments = (schema, args) => {
+    if (!args || typeof args !== "object" || Array.isArray(args)) {
+        throw toolError("Arguments must be a JSON object");
+    }
+
+    for (const name of schema.required || []) {
+        if (args[name] === undefined || args[name] === null) {
+            throw toolError(`Missing argument: ${name}`);
+        }
+    }
+
+    for (const [name, value] of Object.entries(args)) {
+        const property = schema.properties?.[name];
+        if (!property) {
+            throw toolError(`Unknown argument: ${name}`);
+        }
+        // Models sometimes send null for optional arguments
+        if (value === null) {
+            delete args[name];
+            continue;
+        }
+        if (!TYPE_CHECKS[property.type](value)) {
+            throw toolError(`${name} must be of type ${property.type}`);
+        }
+        if (property.enum && !property.enum.includes(value)) {
+            throw toolError(`${name} must be one of ${property.enum.join(", ")}`);
+        }
+        if (property.minimum !== undefined && value < property.minimum) {
+            throw toolError(`${name} must be at least ${property.minimum}`);
+        }
+        if (property.maximum !== undefined && value > property.maximum) {
+            throw toolError(`${name} must be at most ${property.maximum}`);
+        }
+        if (property.maxLength !== undefined && value.length > property.maxLength) {
+            throw toolError(`${name} must be at most ${property.maxLength} characters`);
+        }
+    }
+
+    return args;
+};
+
+module.exports = { validateArguments };
@@ -0,0 +1,38 @@
+const Chat = require("../../models/Chat");
+
+// Characters of each message and response returned
+const EXCERPT_LENGTH = 300;
+
+const excerpt = (text = "") => text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}...` : text;
+
+module.exports = {
+    name: "search_history",
+    description: "Full-text search of the user's earlier chat messages and responses, across all conversations.",
+    parameters: {
+        type: "object",
+        properties: {
+            query: { type: "string", description: "Words or \"quoted phrases\" to search for", maxLength: 200 },
+            limit: { type: "integer", description: "Maximum number of results", minimum: 1, maximum: 10 }
+        },
+        required: ["query"]
+    },
+    // Only the user's own chats are searched
+    execute: async ({ query, limit = 5 }, { user }) => {
+        const chats = await Chat.find(
+            { user_id: user._id.toString(), $text: { $search: query } },
+            { score: { $meta: "textScore" } }
+        )
+            .sort({ score: { $meta: "textScore" } })
+            .limit(limit)
+            .lean();
+
+        return {
+            results: chats.map(chat => ({
+                conversationId: chat.conversation_id,
+                timestamp: chat.timestamp,
+                message: excerpt(chat.message),
+                response: excerpt(chat.response)
+            }))
+        };
+    }
+};
@@ -0,0 +1,9 @@
+// An error whose message is meant for the model, e.g. invalid arguments.
+// Other errors raised by tools are logged and reported as a generic failure.
+const toolError = (message) => {
+    const error = new Error(message);
+    error.code = "TOOL_ERROR";
+    return error;
+};
+
+module.exports = toolError;
@@ -0,0 +1,82 @@
+const Usage = require("../models/Usage");
+const quotas = require("../config/quotas");
+
+// UTC day (YYYY-MM-DD) and month (YYYY-MM) keys
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+const monthKey = (date = new Date()) => date.toISOString().slice(0, 7);
+
+const nextDay = (date = new Date()) =>
+    new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+const nextMonth = (date = new Date()) =>
+    new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+// Effective limits for a user: admin overrides first, then the role's quota
+const limitsFor = (user) => {
+    const roleQuota = quotas[user.role] || quotas.user;
+    const override = user.quota || {};
+
+    return {
+        dailyTokens: override.dailyTokens !== undefined ? override.dailyTokens : roleQuota.dailyTokens,
+        monthlyTokens: override.monthlyTokens !== undefined ? override.monthlyTokens : roleQuota.monthlyTokens
+    };
+};
+
+const recordUsage = (userId, { promptTokens = 0, completionTokens = 0 }) => Usage.updateOne(
+    { user_id: userId, date: dayKey() },
+    {
+        $inc: {
+            requests: 1,
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+        }
+    },
+    { upsert: true }
+);
+
+// Tokens used today and this month
+const getUsedTokens = async (userId, now = new Date()) => {
+    const days = await Usage.find({
+        user_id: userId,
+        date: { $regex: `^${monthKey(now)}` }
+    });
+
+    const today = dayKey(now);
+    return days.reduce((used, day) => ({
+        daily: used.daily + (day.date === today ? day.totalTokens : 0),
+        monthly: used.monthly + day.totalTokens
+    }), { daily: 0, monthly: 0 });
+};
+
+// Usage, limits and reset times for both quota periods
+const getQuotaStatus = async (user, now = new Date()) => {
+    const used = await getUsedTokens(user._id, now);
+    const limits = limitsFor(user);
+
+    return {
+        daily: { used: used.daily, limit: limits.dailyTokens, resetsAt: nextDay(now) },
+        monthly: { used: used.monthly, limit: limits.monthlyTokens, resetsAt: nextMonth(now) }
+    };
+};
+
+// The first exhausted quota period, or null when the user may continue
+const findExceededQuota = async (user) => {
+    const status = await getQuotaStatus(user);
+
+    for (const period of ["daily", "monthly"]) {
+        const { used, limit } = status[period];
+        if (limit !== null && used >= limit) {
+            return { period, ...status[period] };
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    dayKey,
+    limitsFor,
+    recordUsage,
+    getQuotaStatus,
+    findExceededQuota
+};
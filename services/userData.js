@@ -0,0 +1,38 @@
+const Chat = require("../models/Chat");
+const Conversation = require("../models/Conversation");
+const RefreshToken = require("../models/RefreshToken");
+const Document = require("../models/Document");
+const DocumentChunk = require("../models/DocumentChunk");
+const ToolExecution = require("../models/ToolExecution");
+const Usage = require("../models/Usage");
+const Persona = require("../models/Persona");
+
+// Delete everything stored for a user: chats and conversations, sessions,
+// uploaded documents with their text and embeddings, tool call logs, usage
+// counters and private personas. Shared personas stay, as other users may
+// be using them. Resolves with the number of deleted records per kind.
+const deleteUserData = async (userId) => {
+    const [chats, conversations, refreshTokens, documents, documentChunks, toolExecutions, usage, personas] = await Promise.all([
+        Chat.deleteMany({ user_id: userId.toString() }),
+        Conversation.deleteMany({ user_id: userId }),
+        RefreshToken.deleteMany({ user_id: userId }),
+        Document.deleteMany({ user_id: userId }),
+        DocumentChunk.deleteMany({ user_id: userId }),
+        ToolExecution.deleteMany({ user_id: userId }),
+        Usage.deleteMany({ user_id: userId }),
+        Persona.deleteMany({ user_id: userId, shared: { $ne: true } })
+    ]);
+
+    return {
+        chats: chats.deletedCount,
+        conversations: conversations.deletedCount,
+        refreshTokens: refreshTokens.deletedCount,
+        documents: documents.deletedCount,
+        documentChunks: documentChunks.deletedCount,
+        toolExecutions: toolExecutions.deletedCount,
+        usage: usage.deletedCount,
+        personas: personas.deletedCount
+    };
+};
+
+module.exports = { deleteUserData };
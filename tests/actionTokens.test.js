@@ -0,0 +1,52 @@
+process.env.JWT_SECRET = "test-secret";
+
+const User = require("../models/User");
+const { signActionToken, verifyActionToken } = require("../services/tokenService");
+
+describe("Action tokens", () => {
+    let user;
+
+    beforeEach(() => {
+        user = new User({
+            email: "test@example.com",
+            password: "hashed-password",
+            name: "Test User"
+        });
+        jest.spyOn(User, "findById").mockImplementation(async () => user);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("returns the user for a valid token", async () => {
+        const token = signActionToken(user, "password_reset", 60);
+        await expect(verifyActionToken(token, "password_reset")).resolves.toBe(user);
+    });
+
+    it("rejects a token issued for another purpose", async () => {
+        const token = signActionToken(user, "email_verification", 60);
+        await expect(verifyActionToken(token, "password_reset")).resolves.toBeNull();
+    });
+
+    it("rejects an expired token", async () => {
+        const token = signActionToken(user, "password_reset", -1);
+        await expect(verifyActionToken(token, "password_reset")).resolves.toBeNull();
+    });
+
+    it("rejects a reset token once the password has changed", async () => {
+        const token = signActionToken(user, "password_reset", 60);
+        user.password = "another-hash";
+        await expect(verifyActionToken(token, "password_reset")).resolves.toBeNull();
+    });
+
+    it("rejects a verification token once the email is verified", async () => {
+        const token = signActionToken(user, "email_verification", 60);
+        user.emailVerified = true;
+        await expect(verifyActionToken(token, "email_verification")).resolves.toBeNull();
+    });
+
+    it("rejects malformed tokens", async () => {
+        await expect(verifyActionToken("not-a-token", "password_reset")).resolves.toBeNull();
+    });
+});
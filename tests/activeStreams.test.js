@@ -0,0 +1,78 @@
+const streamingConfig = require("../config/streaming");
+const { getStore } = require("../utils/cache");
+const { registerStream, stopStream } = require("../services/activeStreams");
+
+describe("Active streams", () => {
+    it("lets the owner stop a stream", async () => {
+        const stream = registerStream("user-1");
+
+        expect(await stopStream(stream.id, "user-1")).toBe(true);
+        expect(stream.signal.aborted).toBe(true);
+        expect(stream.signal.reason).toBe("stopped");
+        stream.release();
+    });
+
+    it("does not stop another user's stream", async () => {
+        const stream = registerStream("user-1");
+
+        expect(await stopStream(stream.id, "user-2")).toBe(false);
+        expect(stream.signal.aborted).toBe(false);
+        stream.release();
+    });
+
+    it("forgets released streams", async () => {
+        const stream = registerStream("user-1");
+        stream.release();
+
+        expect(await stopStream(stream.id, "user-1")).toBe(false);
+    });
+
+    describe("across instances", () => {
+        const stopPollMs = streamingConfig.stopPollMs;
+
+        beforeEach(() => {
+            streamingConfig.stopPollMs = 20;
+        });
+
+        afterEach(() => {
+            streamingConfig.stopPollMs = stopPollMs;
+        });
+
+        // A stream generated by another instance, which has only left its
+        // keys in the shared store
+        const remoteStream = async (userId) => {
+            await getStore().set(`chat_stream:remote-${userId}:running`, userId, 5);
+            return `remote-${userId}`;
+        };
+
+        it("leaves a stop key for the owner's stream on another instance", async () => {
+            const id = await remoteStream("user-1");
+
+            expect(await stopStream(id, "user-2")).toBe(false);
+            expect(await getStore().get(`chat_stream:${id}:stop`)).toBeFalsy();
+
+            expect(await stopStream(id, "user-1")).toBe(true);
+            expect(await getStore().get(`chat_stream:${id}:stop`)).toBeTruthy();
+        });
+
+        it("stops a stream when another instance left a stop key", async () => {
+            const stream = registerStream("user-1");
+            await getStore().set(`chat_stream:${stream.id}:stop`, "1", 5);
+
+            await new Promise(resolve => stream.signal.addEventListener("abort", resolve));
+
+            expect(stream.signal.reason).toBe("stopped");
+            stream.release();
+        });
+
+        it("records running streams with their owner until released", async () => {
+            const stream = registerStream("user-1");
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(await getStore().get(`chat_stream:${stream.id}:running`)).toBe("user-1");
+            stream.release();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(await getStore().get(`chat_stream:${stream.id}:running`)).toBeFalsy();
+        });
+    });
+});
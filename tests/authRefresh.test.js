@@ -0,0 +1,59 @@
+process.env.JWT_SECRET = "test-secret";
+
+const express = require("express");
+const request = require("supertest");
+
+jest.mock("../services/tokenService", () => ({
+    ...jest.requireActual("../services/tokenService"),
+    rotateRefreshToken: jest.fn(),
+    revokeRefreshToken: jest.fn()
+}));
+
+const User = require("../models/User");
+const { rotateRefreshToken, revokeRefreshToken } = require("../services/tokenService");
+
+const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/auth", require("../routes/authRoutes"));
+    return app;
+};
+
+describe("Token refresh", () => {
+    const tokens = { userId: "user1", token: "access", refreshToken: "rotated", expiresIn: 900 };
+
+    beforeEach(() => {
+        rotateRefreshToken.mockResolvedValue(tokens);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        revokeRefreshToken.mockReset();
+    });
+
+    const refresh = () => request(createApp()).post("/api/auth/refresh").send({ refreshToken: "old" });
+
+    it("returns a new token pair", async () => {
+        jest.spyOn(User, "findById").mockResolvedValue({ _id: "user1", email: "a@example.com", role: "user" });
+
+        const res = await refresh();
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ token: "access", refreshToken: "rotated" });
+        expect(revokeRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ["suspended", { suspendedAt: new Date() }, "Account suspended"],
+        ["required to reset their password", { passwordResetRequired: true }, "Password reset required"]
+    ])("ends the session of users %s", async (label, state, error) => {
+        jest.spyOn(User, "findById").mockResolvedValue({ _id: "user1", ...state });
+
+        const res = await refresh();
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body).toEqual({ error });
+        expect(res.body.token).toBeUndefined();
+        expect(revokeRefreshToken).toHaveBeenCalledWith("user1", "rotated");
+    });
+});
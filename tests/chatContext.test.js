@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+jest.mock("../services/llm/fallback", () => ({ complete: jest.fn() }));
+jest.mock("../services/usageService", () => ({ recordUsage: jest.fn() }));
+
+const llmConfig = require("../config/llm");
+const { complete } = require("../services/llm/fallback");
+const { recordUsage } = require("../services/usageService");
+const { countMessagesTokens } = require("../services/llm/tokens");
+const { summarizeTurns } = require("../services/llm/summary");
+const { prepareContext } = require("../services/chatContext");
+
+// "llama" models are counted at 3.5 characters per token
+const MODEL = "meta-llama/Llama-2-7b-chat-hf";
+const endpoint = { provider: "openai-compatible", model: MODEL, contextWindow: 1000 };
+const settings = { params: { maxTokens: 200 }, endpoints: [endpoint] };
+
+const turn = (n, length) => ({
+    user: `user ${n} `.padEnd(length, "u"),
+    assistant: `assistant ${n} `.padEnd(length, "a")
+});
+
+const chats = (count, length = 350) => Array.from({ length: count }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    message: turn(i, length).user,
+    response: turn(i, length).assistant,
+    timestamp: new Date(2024, 0, 1, 0, i)
+}));
+
+describe("Rolling summary", () => {
+    const endpoints = llmConfig.endpoints;
+    let summaries;
+
+    beforeEach(() => {
+        llmConfig.endpoints = [endpoint];
+        summaries = 0;
+        complete.mockImplementation(async () => ({ endpoint, text: `Summary ${++summaries}` }));
+    });
+
+    afterEach(() => {
+        llmConfig.endpoints = endpoints;
+        complete.mockReset();
+        recordUsage.mockReset();
+    });
+
+    it("summarizes turns in batches that fit the context window", async () => {
+        const turns = Array.from({ length: 6 }, (_, i) => turn(i, 700));
+
+        const result = await summarizeTurns(turns, "Earlier summary");
+
+        expect(complete.mock.calls.length).toBeGreaterThan(1);
+        complete.mock.calls.forEach(([messages, params], i) => {
+            expect(countMessagesTokens(messages, MODEL) + params.maxTokens).toBeLessThanOrEqual(endpoint.contextWindow);
+            // Each batch is folded into the summary of the previous ones
+            expect(messages[1].content).toContain(i === 0 ? "Earlier summary" : `Summary ${i}`);
+        });
+        expect(complete.mock.calls.flatMap(([messages]) => messages[1].content.match(/User: user \d/g)))
+            .toEqual(turns.map((_, i) => `User: user ${i}`));
+        expect(result).toMatchObject({ summary: `Summary ${complete.mock.calls.length}`, model: MODEL });
+        // Usage is estimated when the provider does not report it
+        expect(result.usage.promptTokens).toBe(complete.mock.calls
+            .reduce((total, [messages]) => total + countMessagesTokens(messages, MODEL), 0));
+        expect(result.usage.completionTokens).toBeGreaterThan(0);
+    });
+
+    it("summarizes with the conversation's endpoints and counts reported usage", async () => {
+        const personaEndpoint = { provider: "openai", model: "gpt-4o-mini", contextWindow: 128000 };
+        complete.mockResolvedValue({ endpoint: personaEndpoint, text: "Summary", usage: { promptTokens: 40, completionTokens: 5 } });
+
+        const result = await summarizeTurns(Array.from({ length: 6 }, (_, i) => turn(i, 700)), "", [personaEndpoint]);
+
+        // The persona's large window fits every turn in one batch
+        expect(complete).toHaveBeenCalledTimes(1);
+        expect(complete.mock.calls[0][2]).toEqual([personaEndpoint]);
+        expect(result).toEqual({ summary: "Summary", model: "gpt-4o-mini", usage: { promptTokens: 40, completionTokens: 5 } });
+    });
+
+    it("folds the turns that no longer fit into the summary", async () => {
+        const path = chats(10);
+        const conversation = { user_id: "u1", save: jest.fn() };
+
+        const messages = (await prepareContext(conversation, path, "And now?", settings))(endpoint);
+
+        const { coveredChatId } = conversation.summary;
+        const covered = path.findIndex(chat => chat._id.equals(coveredChatId));
+        const summary = `Summary ${complete.mock.calls.length}`;
+        expect(conversation.save).toHaveBeenCalled();
+        expect(conversation.summary).toMatchObject({ content: summary, model: MODEL });
+        expect(recordUsage).toHaveBeenCalledWith("u1", {
+            promptTokens: expect.any(Number),
+            completionTokens: expect.any(Number)
+        });
+        expect(complete.mock.calls.flatMap(([request]) => request[1].content.match(/User: user \d/g))).toEqual(
+            path.slice(0, covered + 1).map((_, i) => `User: user ${i}`)
+        );
+
+        expect(messages[0]).toEqual({ role: "system", content: `Summary of the earlier conversation:\n${summary}` });
+        expect(messages[1].content).toBe(path[covered + 1].message);
+        expect(messages[messages.length - 1].content).toBe("And now?");
+        expect(countMessagesTokens(messages, MODEL) + settings.params.maxTokens).toBeLessThanOrEqual(endpoint.contextWindow);
+    });
+
+    it("reuses a stored summary while the newer turns fit", async () => {
+        const path = chats(10);
+        const conversation = {
+            summary: { content: "Stored summary", coveredChatId: path[7]._id },
+            save: jest.fn()
+        };
+
+        const messages = (await prepareContext(conversation, path, "And now?", settings))(endpoint);
+
+        expect(complete).not.toHaveBeenCalled();
+        expect(recordUsage).not.toHaveBeenCalled();
+        expect(conversation.save).not.toHaveBeenCalled();
+        expect(messages.map(message => message.content)).toEqual([
+            "Summary of the earlier conversation:\nStored summary",
+            path[8].message, path[8].response,
+            path[9].message, path[9].response,
+            "And now?"
+        ]);
+    });
+});
@@ -0,0 +1,95 @@
+const http = require("http");
+const mongoose = require("mongoose");
+const WebSocket = require("ws");
+
+jest.mock("../middleware/auth", () => ({
+    authenticate: jest.fn()
+}));
+
+const { authenticate } = require("../middleware/auth");
+const { attachChatSocket, validateRequest } = require("../routes/chatSocket");
+const { publishConversationChange } = require("../services/conversationEvents");
+
+describe("WebSocket request validation", () => {
+    it("accepts chat, regenerate and stop messages", () => {
+        expect(validateRequest({ type: "chat", message: "Hi", temperature: 0.5 })).toBeNull();
+        expect(validateRequest({ type: "regenerate", chatId: new mongoose.Types.ObjectId().toString() })).toBeNull();
+        expect(validateRequest({ type: "stop", streamId: "abc" })).toBeNull();
+    });
+
+    it("rejects invalid messages", () => {
+        expect(validateRequest(null)).toBe("Invalid message");
+        expect(validateRequest({ type: "chat", message: "  " })).toBe("Message cannot be empty");
+        expect(validateRequest({ type: "chat", message: "Hi", conversationId: "nope" })).toBe("Invalid conversation id");
+        expect(validateRequest({ type: "chat", message: "Hi", maxTokens: 1.5 })).toBe("maxTokens must be an integer between 1 and 4096");
+        expect(validateRequest({ type: "regenerate" })).toBe("Invalid message id");
+        expect(validateRequest({ type: "delete" })).toBe("Unknown message type: delete");
+    });
+});
+
+describe("WebSocket chat server", () => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+    let server;
+    let wss;
+    let url;
+
+    beforeAll((done) => {
+        server = http.createServer();
+        wss = attachChatSocket(server);
+        server.listen(0, () => {
+            url = `ws://localhost:${server.address().port}/api/chat/ws`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    const connect = (token) => new Promise((resolve, reject) => {
+        const ws = new WebSocket(`${url}?token=${token}`);
+        const messages = [];
+        ws.on("message", (data) => messages.push(JSON.parse(data)));
+        ws.on("open", () => resolve({ ws, messages }));
+        ws.on("unexpected-response", (req, res) => reject(res.statusCode));
+    });
+
+    const nextMessage = (messages) => new Promise((resolve) => {
+        const poll = () => messages.length ? resolve(messages.shift()) : setTimeout(poll, 5);
+        poll();
+    });
+
+    it("rejects connections without a valid token", async () => {
+        const error = new Error("Please authenticate");
+        error.status = 401;
+        authenticate.mockRejectedValueOnce(error);
+
+        await expect(connect("bad")).rejects.toBe(401);
+    });
+
+    it("reports invalid requests and pushes conversation changes", async () => {
+        authenticate.mockResolvedValue({ user });
+        const { ws, messages } = await connect("good");
+
+        ws.send(JSON.stringify({ type: "chat", requestId: "r1", message: "" }));
+        expect(await nextMessage(messages)).toEqual({
+            type: "error",
+            requestId: "r1",
+            status: 400,
+            error: "Invalid request",
+            message: "Message cannot be empty"
+        });
+
+        const conversation = { _id: new mongoose.Types.ObjectId(), title: "Renamed", updatedAt: new Date() };
+        publishConversationChange(user._id.toString(), "updated", conversation);
+        expect(await nextMessage(messages)).toMatchObject({
+            type: "conversation",
+            action: "updated",
+            conversationId: conversation._id.toString(),
+            title: "Renamed"
+        });
+
+        ws.close();
+    });
+});
@@ -0,0 +1,176 @@
+const moderationConfig = require("../config/moderation");
+const { exportChunks, parseImport, moderateImport } = require("../services/chatTransfer");
+
+const chats = [
+    { conversation_id: "c1", message: "Hi", response: "Hello!", model: "m", timestamp: new Date("2024-01-01T00:00:00Z") },
+    { conversation_id: "c1", message: "How are you?", response: "Fine.", model: "m", timestamp: new Date("2024-01-01T00:01:00Z") },
+    { conversation_id: "c2", message: "Write a list", response: "- one\n- two", model: "m", timestamp: new Date("2024-01-02T00:00:00Z") }
+];
+
+const conversations = {
+    c1: { title: "Greetings", createdAt: new Date("2024-01-01T00:00:00Z") },
+    c2: { title: "Lists", createdAt: new Date("2024-01-02T00:00:00Z") }
+};
+
+const exportAs = async (format) => {
+    let output = "";
+    for await (const chunk of exportChunks(format, chats, async (id) => conversations[id])) {
+        output += chunk;
+    }
+    return output;
+};
+
+describe("Chat export", () => {
+    it("exports JSON grouped by conversation", async () => {
+        const data = JSON.parse(await exportAs("json"));
+
+        expect(data.version).toBe(1);
+        expect(data.conversations.map(c => c.title)).toEqual(["Greetings", "Lists"]);
+        expect(data.conversations[0].messages).toHaveLength(4);
+        expect(data.conversations[0].messages[1]).toMatchObject({ role: "assistant", content: "Hello!", model: "m" });
+    });
+
+    it("exports JSONL in OpenAI fine-tuning format", async () => {
+        const lines = (await exportAs("jsonl")).trim().split("\n").map(line => JSON.parse(line));
+
+        expect(lines).toHaveLength(2);
+        expect(lines[1]).toEqual({
+            messages: [
+                { role: "user", content: "Write a list" },
+                { role: "assistant", content: "- one\n- two" }
+            ]
+        });
+    });
+
+    it("exports Markdown", async () => {
+        const markdown = await exportAs("markdown");
+
+        expect(markdown).toContain("## Greetings\n\n### User\n\nHi\n\n### Assistant\n\nHello!\n");
+    });
+
+    it("names conversations without metadata", async () => {
+        let output = "";
+        for await (const chunk of exportChunks("json", [{ ...chats[0], conversation_id: null }], async () => null)) {
+            output += chunk;
+        }
+        expect(JSON.parse(output).conversations[0].title).toBe("Untitled conversation");
+    });
+});
+
+describe("Chat import", () => {
+    it("keeps Markdown headings inside messages through a Markdown round trip", async () => {
+        const response = "## Overview\n\nSome text.\n\n### User\n\\## Already escaped\n###Tight heading\n#### Details";
+        let markdown = "";
+        for await (const chunk of exportChunks("markdown", [{ ...chats[0], message: "## Plan it", response }], async (id) => conversations[id])) {
+            markdown += chunk;
+        }
+
+        const { conversations: imported, skipped } = parseImport("markdown", markdown);
+
+        expect(skipped).toBe(0);
+        expect(imported).toEqual([{
+            title: "Greetings",
+            chats: [expect.objectContaining({ message: "## Plan it", response })]
+        }]);
+    });
+
+    it.each(["json", "jsonl", "markdown"])("round-trips the %s export", async (format) => {
+        const { conversations: imported, skipped } = parseImport(format, await exportAs(format));
+
+        expect(skipped).toBe(0);
+        expect(imported).toHaveLength(2);
+        expect(imported[1].chats).toEqual([
+            expect.objectContaining({ message: "Write a list", response: "- one\n- two" })
+        ]);
+        if (format !== "jsonl") {
+            expect(imported.map(c => c.title)).toEqual(["Greetings", "Lists"]);
+        }
+    });
+
+    it("accepts an already parsed JSON body", () => {
+        const body = { conversations: [{ title: "T", messages: [{ role: "user", content: "a" }, { role: "assistant", content: "b" }] }] };
+        expect(parseImport("json", body).conversations[0].chats[0]).toMatchObject({ message: "a", response: "b" });
+    });
+
+    it("ignores system messages and counts unpaired ones as skipped", () => {
+        const line = JSON.stringify({
+            messages: [
+                { role: "system", content: "Be nice" },
+                { role: "assistant", content: "orphan" },
+                { role: "user", content: "q1" },
+                { role: "user", content: "q2" },
+                { role: "assistant", content: "a2" },
+                { role: "user", content: "q3" }
+            ]
+        });
+        const { conversations, skipped } = parseImport("jsonl", line);
+
+        expect(conversations[0].chats).toEqual([expect.objectContaining({ message: "q2", response: "a2" })]);
+        expect(skipped).toBe(3);
+    });
+
+    it("keeps the order of messages without timestamps", () => {
+        const line = JSON.stringify({
+            messages: [
+                { role: "user", content: "1" }, { role: "assistant", content: "1" },
+                { role: "user", content: "2" }, { role: "assistant", content: "2" }
+            ]
+        });
+        const [first, second] = parseImport("jsonl", line).conversations[0].chats;
+
+        expect(second.timestamp.getTime()).toBeGreaterThan(first.timestamp.getTime());
+    });
+
+    it.each([
+        ["json", { nope: true }, /conversations array/],
+        ["jsonl", "{broken", /Line 1/],
+        ["jsonl", JSON.stringify({ messages: [{ role: "robot", content: "x" }] }), /invalid message/],
+        ["markdown", "just some text", /No conversations/]
+    ])("rejects invalid %s input", (format, body, message) => {
+        expect(() => parseImport(format, body)).toThrow(message);
+        try {
+            parseImport(format, body);
+        } catch (error) {
+            expect(error.code).toBe("INVALID_IMPORT");
+        }
+    });
+});
+
+describe("Import moderation", () => {
+    const defaultRules = moderationConfig.rules;
+
+    afterEach(() => {
+        moderationConfig.rules = defaultRules;
+    });
+
+    it("redacts imported messages and responses, and leaves out blocked chats", async () => {
+        moderationConfig.rules = [
+            ...defaultRules,
+            { name: "blocklist", type: "blocklist", terms: ["forbidden"], action: "block", stages: ["input"] },
+            { name: "watch", type: "pattern", pattern: "watch me", action: "flag", stages: ["input"] }
+        ];
+        const at = new Date();
+
+        const { conversations, blocked } = await moderateImport([
+            {
+                title: "Mixed",
+                chats: [
+                    { message: "Mail jane.doe@example.com", response: "Sent to jane.doe@example.com", timestamp: at },
+                    { message: "Say the forbidden word", response: "No", timestamp: at },
+                    { message: "Hi", response: "watch me", timestamp: at }
+                ]
+            },
+            { title: "Blocked", chats: [{ message: "ok", response: "forbidden", timestamp: at }] }
+        ]);
+
+        expect(blocked).toBe(2);
+        expect(conversations).toHaveLength(1);
+        expect(conversations[0].chats).toHaveLength(2);
+        expect(conversations[0].chats[0]).toMatchObject({
+            message: "Mail [REDACTED:email]",
+            response: "Sent to [REDACTED:email]"
+        });
+        expect(conversations[0].chats[0].moderation.review).toBeUndefined();
+        expect(conversations[0].chats[1].moderation).toMatchObject({ review: { status: "pending" } });
+    });
+});
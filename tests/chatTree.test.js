@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const { treeFields, getActiveChatIds } = require("../services/chatTree");
+
+describe("Conversation tree", () => {
+    const id = () => new mongoose.Types.ObjectId();
+
+    it("starts a root chat without a parent", () => {
+        expect(treeFields([])).toEqual({ parent_id: null, ancestors: [], depth: 0 });
+    });
+
+    it("follows the last chat of the path", () => {
+        const path = [{ _id: id() }, { _id: id() }, { _id: id() }];
+        expect(treeFields(path)).toEqual({
+            parent_id: path[2]._id,
+            ancestors: path.map(chat => chat._id),
+            depth: 3
+        });
+    });
+
+    it("lists the chats on the active paths of conversations", async () => {
+        const [root, edited, leaf, otherLeaf] = [id(), id(), id(), id()];
+        const find = jest.spyOn(Chat, "find").mockReturnValue({
+            select: () => ({
+                lean: async () => [{ _id: leaf, ancestors: [root, edited] }, { _id: otherLeaf, ancestors: [] }]
+            })
+        });
+
+        const ids = await getActiveChatIds([{ active_chat_id: leaf }, { active_chat_id: otherLeaf }, {}]);
+
+        expect(find).toHaveBeenCalledWith({ _id: { $in: [leaf, otherLeaf] } });
+        expect(ids).toEqual([root, edited, leaf, otherLeaf]);
+        find.mockRestore();
+    });
+
+    it("needs no query for conversations without an active chat", async () => {
+        const find = jest.spyOn(Chat, "find");
+
+        expect(await getActiveChatIds([{}])).toEqual([]);
+        expect(find).not.toHaveBeenCalled();
+        find.mockRestore();
+    });
+});
@@ -0,0 +1,131 @@
+jest.mock("../services/llm/index", () => ({ getProvider: jest.fn() }));
+
+const llmConfig = require("../config/llm");
+const createCircuitBreaker = require("../services/llm/circuitBreaker");
+const { getProvider } = require("../services/llm/index");
+const { openStream, getBreaker } = require("../services/llm/fallback");
+const logger = require("../utils/logger");
+
+describe("Circuit breaker", () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+        time = 0;
+    });
+
+    it("stays closed until the failure threshold is reached", () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now });
+
+        breaker.recordFailure();
+        breaker.recordFailure();
+        expect(breaker.getState()).toBe("closed");
+        expect(breaker.canRequest()).toBe(true);
+
+        breaker.recordFailure();
+        expect(breaker.getState()).toBe("open");
+        expect(breaker.canRequest()).toBe(false);
+    });
+
+    it("resets the failure count on success", () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now });
+
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+        expect(breaker.getState()).toBe("closed");
+    });
+
+    it("lets a single trial request through after the cooldown", () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now });
+
+        breaker.recordFailure();
+        time = 1000;
+        expect(breaker.getState()).toBe("half-open");
+        expect(breaker.canRequest()).toBe(true);
+        expect(breaker.canRequest()).toBe(false);
+
+        breaker.recordSuccess();
+        expect(breaker.getState()).toBe("closed");
+    });
+
+    it("reopens when the trial request fails", () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now });
+
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        time = 1500;
+        expect(breaker.canRequest()).toBe(true);
+
+        breaker.recordFailure();
+        expect(breaker.getState()).toBe("open");
+        time = 2400;
+        expect(breaker.canRequest()).toBe(false);
+    });
+
+    it("lets another trial through when the trial request is released", () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now });
+
+        breaker.recordFailure();
+        time = 1000;
+        expect(breaker.canRequest()).toBe(true);
+        breaker.releaseTrial();
+        expect(breaker.getState()).toBe("half-open");
+        expect(breaker.canRequest()).toBe(true);
+    });
+});
+
+describe("Fallback circuit breaking", () => {
+    const endpoint = { provider: "openai", model: "breaker-abort-test" };
+    const retries = llmConfig.retry.retries;
+
+    beforeEach(() => {
+        llmConfig.retry.retries = 0;
+    });
+
+    afterEach(() => {
+        llmConfig.retry.retries = retries;
+        jest.restoreAllMocks();
+    });
+
+    it("does not keep the circuit blocked when the client aborts a trial request", async () => {
+        let time = 0;
+        jest.spyOn(Date, "now").mockImplementation(() => time);
+        const failure = Object.assign(new Error("Server error"), { status: 500 });
+        getProvider.mockReturnValue({
+            streamChat: async function* () { throw failure; }
+        });
+
+        for (let i = 0; i < llmConfig.circuitBreaker.failureThreshold; i++) {
+            await expect(openStream([], {}, [endpoint])).rejects.toBe(failure);
+        }
+        expect(getBreaker(endpoint).getState()).toBe("open");
+
+        // The trial request is cancelled by the client before it answers
+        time = llmConfig.circuitBreaker.cooldownMs;
+        const controller = new AbortController();
+        getProvider.mockReturnValue({
+            streamChat: async function* ({ signal }) {
+                await new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("canceled"))));
+            }
+        });
+        const trial = openStream([], {}, [endpoint], { signal: controller.signal });
+        controller.abort();
+        await expect(trial).rejects.toThrow("canceled");
+
+        expect(getBreaker(endpoint).getState()).toBe("half-open");
+        expect(getBreaker(endpoint).canRequest()).toBe(true);
+    });
+
+    it("logs why a model failed", async () => {
+        const warn = jest.spyOn(logger, "warn").mockImplementation(() => {});
+        getProvider.mockReturnValue({
+            streamChat: async function* () { throw Object.assign(new Error("Bad gateway"), { status: 502 }); }
+        });
+
+        await expect(openStream([], {}, [{ provider: "openai", model: "failure-log-test" }])).rejects.toThrow("Bad gateway");
+
+        expect(warn).toHaveBeenCalledWith("Model failure-log-test failed: Bad gateway");
+    });
+});
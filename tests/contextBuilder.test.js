@@ -0,0 +1,132 @@
+const { buildContext, truncateText } = require("../services/llm/context");
+const { countTokens, countMessagesTokens } = require("../services/llm/tokens");
+
+// "llama" models are counted at 3.5 characters per token
+const MODEL = "meta-llama/Llama-2-7b-chat-hf";
+
+const turn = (n, length = 35) => ({
+    user: `user ${n} `.padEnd(length, "u"),
+    assistant: `assistant ${n} `.padEnd(length, "a")
+});
+
+describe("Token counting", () => {
+    it("estimates tokens from the model family", () => {
+        expect(countTokens("a".repeat(35), MODEL)).toBe(10);
+        expect(countTokens("a".repeat(40), "gpt-4o-mini")).toBe(10);
+        expect(countTokens("", MODEL)).toBe(0);
+    });
+});
+
+describe("Context builder", () => {
+    it("returns turns in chronological order followed by the current message", () => {
+        const history = [turn(1), turn(2)];
+        const { messages, droppedTurns } = buildContext({ history, message: "now", model: MODEL, contextWindow: 1000 });
+
+        expect(messages.map(m => m.role)).toEqual(["user", "assistant", "user", "assistant", "user"]);
+        expect(messages[0].content).toMatch(/^user 1/);
+        expect(messages[2].content).toMatch(/^user 2/);
+        expect(messages[4].content).toBe("now");
+        expect(droppedTurns).toBe(0);
+    });
+
+    it("puts the system prompt first", () => {
+        const { messages } = buildContext({
+            systemPrompt: "Be brief.",
+            history: [turn(1)],
+            message: "now",
+            model: MODEL,
+            contextWindow: 1000
+        });
+
+        expect(messages[0]).toEqual({ role: "system", content: "Be brief." });
+    });
+
+    it("drops the oldest turns first when the budget is exceeded", () => {
+        // Each turn costs 2 * (10 + 4) = 28 tokens, the message 1 + 4 = 5
+        const history = [turn(1), turn(2), turn(3)];
+        const result = buildContext({
+            history,
+            message: "now",
+            model: MODEL,
+            contextWindow: 5 + 28 * 2 + 10,
+            minTruncatedTokens: 64
+        });
+
+        expect(result.includedTurns).toBe(2);
+        expect(result.droppedTurns).toBe(1);
+        expect(result.truncatedTurns).toBe(0);
+        expect(result.messages[0].content).toMatch(/^user 2/);
+    });
+
+    it("reserves tokens for the completion", () => {
+        const history = [turn(1), turn(2)];
+        const result = buildContext({
+            history,
+            message: "now",
+            model: MODEL,
+            contextWindow: 5 + 28 * 2,
+            reservedTokens: 28
+        });
+
+        expect(result.includedTurns).toBe(1);
+        expect(result.messages[0].content).toMatch(/^user 2/);
+    });
+
+    it("truncates the newest turn that does not fit and drops older ones", () => {
+        const history = [turn(1), turn(2, 700), turn(3)];
+        const contextWindow = 5 + 28 + 100;
+        const result = buildContext({ history, message: "now", model: MODEL, contextWindow, minTruncatedTokens: 64 });
+
+        expect(result.includedTurns).toBe(2);
+        expect(result.droppedTurns).toBe(1);
+        expect(result.truncatedTurns).toBe(1);
+        expect(result.messages[0].content).toMatch(/^user 2 u+ \[truncated\]$/);
+        expect(result.messages[1].content).toMatch(/^assistant 2 a+ \[truncated\]$/);
+        expect(result.promptTokens).toBeLessThanOrEqual(contextWindow);
+        expect(result.promptTokens).toBe(countMessagesTokens(result.messages, MODEL));
+    });
+
+    it("gives unused share of a short message to the other one", () => {
+        const history = [{ user: "short", assistant: "a".repeat(2000) }];
+        const result = buildContext({ history, message: "now", model: MODEL, contextWindow: 5 + 108, minTruncatedTokens: 64 });
+
+        expect(result.messages[0].content).toBe("short");
+        expect(countTokens(result.messages[1].content, MODEL)).toBe(108 - 8 - 2);
+    });
+
+    it("drops a turn instead of truncating it below the minimum", () => {
+        const history = [turn(1, 700)];
+        const result = buildContext({ history, message: "now", model: MODEL, contextWindow: 5 + 40, minTruncatedTokens: 64 });
+
+        expect(result.includedTurns).toBe(0);
+        expect(result.messages).toEqual([{ role: "user", content: "now" }]);
+    });
+
+    it("is deterministic for the same input", () => {
+        const history = [turn(1, 300), turn(2, 300), turn(3, 300)];
+        const options = { history, message: "now", model: MODEL, contextWindow: 250 };
+
+        expect(buildContext(options)).toEqual(buildContext(options));
+    });
+
+    it("throws when the current message alone exceeds the budget", () => {
+        expect(() => buildContext({
+            message: "x".repeat(1000),
+            model: MODEL,
+            contextWindow: 100
+        })).toThrow(expect.objectContaining({ code: "CONTEXT_OVERFLOW" }));
+    });
+});
+
+describe("truncateText", () => {
+    it("leaves text within the limit untouched", () => {
+        expect(truncateText("hello", 10, MODEL)).toBe("hello");
+    });
+
+    it("keeps the beginning of the text within the limit", () => {
+        const text = truncateText("b".repeat(500), 20, MODEL);
+        expect(text.startsWith("bbb")).toBe(true);
+        expect(text.endsWith(" [truncated]")).toBe(true);
+        expect(countTokens(text, MODEL)).toBeLessThanOrEqual(20);
+    });
+});
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const { extractText, chunkText } = require("../services/documentText");
+const { rankChunks, formatSources, citationsFor } = require("../services/documentService");
+const createLocalEmbeddingProvider = require("../services/embeddings/local");
+
+describe("Document text", () => {
+    it("reads text and markdown as UTF-8", async () => {
+        await expect(extractText(Buffer.from("# Notes\n\nCafé"), "text/markdown")).resolves.toBe("# Notes\n\nCafé");
+    });
+
+    it("extracts the text of a PDF", async () => {
+        const pdf = fs.readFileSync(path.join(__dirname, "fixtures", "documents", "hello.pdf"));
+        await expect(extractText(pdf, "application/pdf")).resolves.toContain("Hello from a PDF");
+    });
+
+    it("rejects other content types", async () => {
+        await expect(extractText(Buffer.from("x"), "image/png")).rejects.toMatchObject({ code: "UNSUPPORTED_DOCUMENT" });
+    });
+
+    it("splits long text into overlapping chunks on sentence boundaries", () => {
+        const text = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} is here.`).join(" ");
+        const chunks = chunkText(text, { chunkSize: 200, chunkOverlap: 50 });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        for (const chunk of chunks) {
+            expect(chunk.length).toBeLessThanOrEqual(200);
+        }
+        expect(chunks[0]).toMatch(/\.$/);
+        // Each chunk repeats the end of the previous one
+        expect(chunks[0]).toContain(chunks[1].slice(0, 20));
+    });
+
+    it("keeps short text in one chunk and skips empty text", () => {
+        expect(chunkText("  Just a note.\r\n", { chunkSize: 200, chunkOverlap: 50 })).toEqual(["Just a note."]);
+        expect(chunkText(" \n\n ", { chunkSize: 200, chunkOverlap: 50 })).toEqual([]);
+    });
+});
+
+describe("Retrieval", () => {
+    const provider = createLocalEmbeddingProvider({ model: "local-hash-256" });
+
+    it("embeds deterministically into unit vectors", async () => {
+        const [a, b] = await provider.embed(["The cat sat on the mat", "The cat sat on the mat"]);
+
+        expect(a).toHaveLength(256);
+        expect(a).toEqual(b);
+        expect(Math.hypot(...a)).toBeCloseTo(1);
+    });
+
+    it("ranks chunks sharing words with the query and drops unrelated ones", async () => {
+        const texts = [
+            "Invoices are due within 30 days of the billing date.",
+            "The office is closed on public holidays.",
+            "Late invoices incur a fee of 2% per month."
+        ];
+        const embeddings = await provider.embed(texts);
+        const chunks = texts.map((text, index) => ({ index, text, embedding: embeddings[index] }));
+        const [query] = await provider.embed(["What fee applies to late invoices?"]);
+
+        const results = rankChunks(query, chunks, { topK: 3, minScore: 0.1 });
+        expect(results.map(result => result.chunk.index)).toEqual([2, 0]);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it("numbers the passages in the prompt and the citations alike", () => {
+        const document = { _id: "d1", filename: "terms.md" };
+        const sources = [
+            { chunk: { index: 3, text: "Invoices are due within 30 days." }, document, score: 0.61234 },
+            { chunk: { index: 0, text: "x".repeat(300) }, document, score: 0.4 }
+        ];
+
+        expect(formatSources(sources)).toContain("[1] terms.md (part 4):\nInvoices are due within 30 days.");
+        expect(formatSources(sources)).toContain("[2] terms.md (part 1):");
+
+        const citations = citationsFor(sources);
+        expect(citations[0]).toEqual({
+            index: 1,
+            documentId: "d1",
+            filename: "terms.md",
+            chunkIndex: 3,
+            score: 0.612,
+            excerpt: "Invoices are due within 30 days."
+        });
+        expect(citations[1].excerpt).toHaveLength(203);
+    });
+});
@@ -0,0 +1,52 @@
+const { encodeCursor, decodeCursor, afterCursor } = require("../utils/cursor");
+const { searchTerms, highlight } = require("../utils/highlight");
+
+describe("History cursors", () => {
+    const doc = { timestamp: new Date("2024-05-01T10:00:00.000Z"), _id: "65f0c0ffee0000000000abcd" };
+
+    it("round-trips a cursor", () => {
+        expect(decodeCursor(encodeCursor(doc))).toEqual({ timestamp: doc.timestamp, id: doc._id });
+    });
+
+    it("rejects malformed cursors", () => {
+        expect(decodeCursor("not-a-cursor")).toBeNull();
+        expect(decodeCursor(Buffer.from(JSON.stringify({ t: "x", id: doc._id })).toString("base64url"))).toBeNull();
+        expect(decodeCursor(Buffer.from(JSON.stringify({ t: doc.timestamp, id: "{$gt:1}" })).toString("base64url"))).toBeNull();
+    });
+
+    it("selects older documents and ties broken by id", () => {
+        expect(afterCursor({ timestamp: doc.timestamp, id: doc._id })).toEqual({
+            $or: [
+                { timestamp: { $lt: doc.timestamp } },
+                { timestamp: doc.timestamp, _id: { $lt: doc._id } }
+            ]
+        });
+    });
+});
+
+describe("Search highlighting", () => {
+    it("extracts words and phrases, skipping negated terms", () => {
+        expect(searchTerms("docker \"compose file\" -kubernetes a")).toEqual(["docker", "compose file"]);
+    });
+
+    it("marks every match and escapes HTML", () => {
+        const text = "Use <b>Docker</b> with docker compose";
+        expect(highlight(text, ["docker"])).toBe("Use &lt;b&gt;<mark>Docker</mark>&lt;/b&gt; with <mark>docker</mark> compose");
+    });
+
+    it("matches words by prefix", () => {
+        expect(highlight("He was running late", ["run"])).toBe("He was <mark>running</mark> late");
+    });
+
+    it("trims long text to an excerpt around the first match", () => {
+        const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+        const snippet = highlight(text, ["needle"], { radius: 10 });
+
+        expect(snippet).toBe("…a a a a a <mark>needle</mark> b b b b b…");
+    });
+
+    it("returns null without a match", () => {
+        expect(highlight("nothing here", ["needle"])).toBeNull();
+        expect(highlight(null, ["needle"])).toBeNull();
+    });
+});
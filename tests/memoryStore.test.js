@@ -0,0 +1,90 @@
+const { createMemoryStore } = require("../utils/memoryStore");
+
+describe("In-memory cache store", () => {
+    let time;
+    let store;
+
+    beforeEach(() => {
+        time = 0;
+        store = createMemoryStore({ maxEntries: 3, now: () => time });
+    });
+
+    it("stores and expires values", async () => {
+        await store.set("a", "1", 10);
+        expect(await store.get("a")).toBe("1");
+
+        time = 10000;
+        expect(await store.get("a")).toBeNull();
+    });
+
+    it("evicts the least recently used key", async () => {
+        await store.set("a", "1");
+        await store.set("b", "2");
+        await store.set("c", "3");
+        await store.get("a");
+        await store.set("d", "4");
+
+        expect(await store.get("a")).toBe("1");
+        expect(await store.get("b")).toBeNull();
+        expect(await store.get("d")).toBe("4");
+    });
+
+    it("never evicts pinned keys, only expires them", async () => {
+        store = createMemoryStore({ maxEntries: 2, pinnedPrefixes: ["token_denylist:"], now: () => time });
+        await store.set("token_denylist:jti1", "true", 60);
+        for (let i = 0; i < 5; i++) {
+            await store.set(`chat_history:${i}`, "x");
+        }
+
+        expect(await store.get("token_denylist:jti1")).toBe("true");
+        expect(await store.get("chat_history:0")).toBeNull();
+        expect(await store.get("chat_history:4")).toBe("x");
+
+        time = 60000;
+        expect(await store.get("token_denylist:jti1")).toBeNull();
+    });
+
+    it("deletes keys by prefix", async () => {
+        await store.set("chat_history:u1:1:20", "x");
+        await store.set("chat_history:u1:2:20", "y");
+        await store.set("chat_history:u10:1:20", "z");
+
+        expect(await store.delByPrefix("chat_history:u1:")).toBe(2);
+        expect(await store.get("chat_history:u1:1:20")).toBeNull();
+        expect(await store.get("chat_history:u10:1:20")).toBe("z");
+    });
+
+    it("limits hits within a sliding window", async () => {
+        const options = { windowMs: 1000, max: 2 };
+
+        expect((await store.slidingWindowHit("k", { ...options, member: "1", at: 0 })).allowed).toBe(true);
+        expect((await store.slidingWindowHit("k", { ...options, member: "2", at: 500 })).allowed).toBe(true);
+
+        const rejected = await store.slidingWindowHit("k", { ...options, member: "3", at: 900 });
+        expect(rejected).toEqual({ allowed: false, count: 2, oldest: 0 });
+
+        // The first hit has left the window
+        expect((await store.slidingWindowHit("k", { ...options, member: "4", at: 1001 })).allowed).toBe(true);
+    });
+
+    it("removes a recorded hit", async () => {
+        const options = { windowMs: 1000, max: 1 };
+
+        await store.slidingWindowHit("k", { ...options, member: "1", at: 0 });
+        await store.removeHit("k", "1");
+
+        expect((await store.slidingWindowHit("k", { ...options, member: "2", at: 10 })).allowed).toBe(true);
+    });
+
+    it("appends to lists and reads them from an index", async () => {
+        expect(await store.append("l", "a", 10)).toBe(1);
+        expect(await store.append("l", "b", 10)).toBe(2);
+
+        expect(await store.range("l")).toEqual(["a", "b"]);
+        expect(await store.range("l", 1)).toEqual(["b"]);
+        expect(await store.range("missing", 0)).toEqual([]);
+
+        time = 10000;
+        expect(await store.range("l")).toEqual([]);
+    });
+});
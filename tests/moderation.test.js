@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+
+jest.mock("../services/llm/fallback", () => ({ openStream: jest.fn() }));
+jest.mock("../services/chatContext", () => ({ prepareContext: jest.fn() }));
+jest.mock("../services/usageService", () => ({
+    recordUsage: jest.fn(),
+    dayKey: jest.requireActual("../services/usageService").dayKey
+}));
+jest.mock("../utils/cache", () => {
+    const { createMemoryStore } = jest.requireActual("../utils/memoryStore");
+    const store = createMemoryStore();
+    return { getStore: () => store, deleteCacheByPrefix: jest.fn() };
+});
+jest.mock("../services/moderation/classifier", () => ({ classify: jest.fn() }));
+
+const Chat = require("../models/Chat");
+const InjectionMetric = require("../models/InjectionMetric");
+const moderationConfig = require("../config/moderation");
+const { openStream } = require("../services/llm/fallback");
+const { prepareContext } = require("../services/chatContext");
+const { classify } = require("../services/moderation/classifier");
+const { moderate, createStreamRedactor } = require("../services/moderation");
+const { moderateMessage, chatErrorResponse } = require("../services/chatStream");
+const { generateReply } = require("../services/chatPipeline");
+
+const defaultRules = moderationConfig.rules;
+
+beforeEach(() => {
+    jest.spyOn(InjectionMetric, "updateOne").mockResolvedValue({});
+});
+
+afterEach(() => {
+    moderationConfig.rules = defaultRules;
+    jest.restoreAllMocks();
+});
+
+describe("PII redaction", () => {
+    it("redacts emails, phone numbers, card numbers and API keys in messages", async () => {
+        const result = await moderate(
+            "I'm jane.doe@example.com, +1 (555) 123-4567. Card 4111 1111 1111 1111, key sk-proj-abcdefghijklmnopqrstuvwx",
+            "input"
+        );
+
+        expect(result.text).toBe("I'm [REDACTED:email], [REDACTED:phone]. Card [REDACTED:card], key [REDACTED:apiKey]");
+        expect(result.flags.map(flag => flag.rule)).toEqual(["apiKey", "card", "email", "phone"]);
+        expect(result.blocked || result.flagged).toBe(false);
+    });
+
+    it("leaves numbers that aren't card or phone numbers alone", async () => {
+        const text = "Order 1234 5678 9012 3456 shipped on 2024-01-15, version 1.2.3";
+        await expect(moderate(text, "input")).resolves.toMatchObject({ text, flags: [] });
+    });
+
+    it("redacts matches split across streamed deltas", () => {
+        moderationConfig.rules = [{ name: "email", type: "pii", detector: "email", action: "redact", stages: ["output"] }];
+        const redactor = createStreamRedactor("output");
+        const text = `${"Lorem ipsum ".repeat(20)}write to sup` + "port@exa" + "mple.com today";
+
+        let streamed = "";
+        for (const piece of text.match(/[\s\S]{1,5}/g)) {
+            streamed += redactor.push(piece);
+        }
+        streamed += redactor.end();
+
+        expect(streamed).toBe(`${"Lorem ipsum ".repeat(20)}write to [REDACTED:email] today`);
+    });
+});
+
+describe("Moderation rules", () => {
+    it("blocks messages containing blocklisted terms", async () => {
+        moderationConfig.rules = [{ name: "blocklist", type: "blocklist", terms: ["forbidden word"], action: "block", stages: ["input"] }];
+
+        await expect(moderateMessage("user", "This has a Forbidden Word in it")).rejects.toMatchObject({ code: "MESSAGE_BLOCKED" });
+        await expect(moderateMessage("user", "forbidden words are fine")).resolves.toMatchObject({ blocked: false });
+        expect(chatErrorResponse({ code: "MESSAGE_BLOCKED", message: "Blocked" }).status).toBe(400);
+    });
+
+    it("flags text a classifier reports", async () => {
+        moderationConfig.rules = [{ name: "classifier", type: "classifier", provider: "openai", threshold: 0.8, action: "redact", stages: ["input"] }];
+        classify.mockResolvedValueOnce(["harassment"]);
+
+        await expect(moderate("you are awful", "input")).resolves.toEqual({
+            text: "you are awful",
+            blocked: false,
+            flagged: true,
+            flags: [{ stage: "input", rule: "classifier", action: "flag", categories: ["harassment"] }]
+        });
+    });
+
+    it("lets text through when the classifier is unavailable", async () => {
+        moderationConfig.rules = [{ name: "classifier", type: "classifier", provider: "openai", threshold: 0.8, action: "block", stages: ["input"] }];
+        classify.mockRejectedValueOnce(new Error("timeout"));
+
+        await expect(moderate("hello", "input")).resolves.toMatchObject({ blocked: false, flags: [] });
+    });
+
+    it("withholds a blocked response and queues the chat for review", async () => {
+        moderationConfig.rules = [{ name: "blocklist", type: "blocklist", terms: ["secret plan"], action: "block", stages: ["output"] }];
+        const endpoint = { provider: "openai", model: "gpt-4o-mini" };
+        prepareContext.mockResolvedValue(() => []);
+        openStream.mockResolvedValueOnce({
+            endpoint,
+            messages: [],
+            stream: (async function* () { yield { content: "Here is the secret plan." }; })()
+        });
+        jest.spyOn(Chat.prototype, "save").mockResolvedValue();
+
+        const moderationEvents = [];
+        let streamed = "";
+        const { chat } = await generateReply({
+            user: { _id: new mongoose.Types.ObjectId(), role: "user" },
+            conversation: { _id: new mongoose.Types.ObjectId(), save: jest.fn() },
+            path: [],
+            message: "Tell me",
+            settings: { params: { maxTokens: 100 }, endpoints: [endpoint] },
+            onStart: () => {},
+            onDelta: (content) => { streamed += content; },
+            onModeration: (result) => moderationEvents.push(result.blocked)
+        });
+
+        expect(streamed).toBe("");
+        expect(moderationEvents).toEqual([true]);
+        expect(InjectionMetric.updateOne).toHaveBeenCalledWith(
+            { date: new Date().toISOString().slice(0, 10), source: "message" },
+            { $inc: { checked: 1, detected: 0, blocked: 0 } },
+            { upsert: true }
+        );
+        expect(chat.response).toBe("");
+        expect(chat.moderation.blocked).toBe(true);
+        expect(chat.moderation.review.status).toBe("pending");
+    });
+
+    it("stops streaming a response as soon as a block rule matches", async () => {
+        moderationConfig.rules = [{ name: "blocklist", type: "blocklist", terms: ["secret plan"], action: "block", stages: ["output"] }];
+        const endpoint = { provider: "openai", model: "gpt-4o-mini" };
+        const intro = "Sure, let me explain everything in detail. ".repeat(10);
+        const after = jest.fn();
+        prepareContext.mockResolvedValue(() => []);
+        openStream.mockResolvedValueOnce({
+            endpoint,
+            messages: [],
+            stream: (async function* () {
+                for (const piece of intro.match(/[\s\S]{1,20}/g)) yield { content: piece };
+                yield { content: "The secr" };
+                yield { content: "et plan is" };
+                yield { content: " to take over." };
+                after();
+            })()
+        });
+        jest.spyOn(Chat.prototype, "save").mockResolvedValue();
+
+        let streamed = "";
+        const { chat } = await generateReply({
+            user: { _id: new mongoose.Types.ObjectId(), role: "user" },
+            conversation: { _id: new mongoose.Types.ObjectId(), save: jest.fn() },
+            path: [],
+            message: "Tell me",
+            settings: { params: { maxTokens: 100 }, endpoints: [endpoint] },
+            onStart: () => {},
+            onDelta: (content) => { streamed += content; }
+        });
+
+        expect(streamed.length).toBeGreaterThan(0);
+        expect(intro.startsWith(streamed)).toBe(true);
+        expect(after).not.toHaveBeenCalled();
+        expect(chat.status).toBe("stopped");
+        expect(chat.response).toBe("");
+        expect(chat.moderation.blocked).toBe(true);
+    });
+
+    it("holds back the whole response until a blocking classifier has checked it", async () => {
+        moderationConfig.rules = [{ name: "classifier", type: "classifier", provider: "openai", threshold: 0.8, action: "block", stages: ["output"] }];
+        const redactor = createStreamRedactor("output");
+
+        expect(redactor.push("x".repeat(500))).toBe("");
+        expect(redactor.end()).toBe("x".repeat(500));
+    });
+});
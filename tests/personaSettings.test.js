@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const Persona = require("../models/Persona");
+const llmConfig = require("../config/llm");
+const { resolveSettings } = require("../services/chatPipeline");
+const { checkParam, pickParams } = require("../utils/samplingParams");
+
+describe("Sampling parameter bounds", () => {
+    it("accepts values within the configured bounds", () => {
+        expect(checkParam("temperature", 0)).toBeNull();
+        expect(checkParam("topP", 1)).toBeNull();
+        expect(checkParam("maxTokens", 512)).toBeNull();
+    });
+
+    it("rejects values outside the bounds or of the wrong type", () => {
+        expect(checkParam("temperature", 2.5)).toBe("temperature must be between 0 and 2");
+        expect(checkParam("topP", "0.5")).toBe("topP must be between 0 and 1");
+        expect(checkParam("maxTokens", 10.5)).toBe("maxTokens must be an integer between 1 and 4096");
+    });
+
+    it("picks only the parameters that are set", () => {
+        expect(pickParams({ temperature: 0, topP: null, message: "hi" })).toEqual({ temperature: 0 });
+    });
+});
+
+describe("Sampling parameters", () => {
+    const conversation = { user_id: new mongoose.Types.ObjectId(), settings: {} };
+
+    it("uses the configured defaults", async () => {
+        expect((await resolveSettings(conversation, { message: "hi" })).params).toEqual(llmConfig.params);
+    });
+
+    it("applies overrides, including zero", async () => {
+        expect((await resolveSettings(conversation, { temperature: 0, maxTokens: 50 })).params).toEqual({
+            ...llmConfig.params,
+            temperature: 0,
+            maxTokens: 50
+        });
+    });
+});
+
+describe("Generation settings", () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("uses the configured defaults without a persona", async () => {
+        const settings = await resolveSettings({ user_id: userId, settings: {} });
+
+        expect(settings.params).toEqual(llmConfig.params);
+        expect(settings.systemPrompt).toBeUndefined();
+        expect(settings.endpoints).toBe(llmConfig.endpoints);
+    });
+
+    it("layers persona, conversation and request parameters", async () => {
+        const fallback = llmConfig.endpoints[llmConfig.endpoints.length - 1];
+        jest.spyOn(Persona, "findOne").mockResolvedValue({
+            systemPrompt: "You are a pirate.",
+            model: fallback.model,
+            params: { temperature: 1.2, topP: 0.5, maxTokens: 200 }
+        });
+
+        const settings = await resolveSettings(
+            { user_id: userId, persona_id: new mongoose.Types.ObjectId(), settings: { topP: 0.8, maxTokens: 300 } },
+            { maxTokens: 50 }
+        );
+
+        expect(settings.params).toEqual({ temperature: 1.2, topP: 0.8, maxTokens: 50 });
+        expect(settings.systemPrompt).toBe("You are a pirate.");
+        expect(settings.endpoints[0]).toBe(fallback);
+        expect(settings.endpoints).toHaveLength(llmConfig.endpoints.length);
+    });
+
+    it("clamps saved parameters to the current bounds", async () => {
+        const settings = await resolveSettings({ user_id: userId, settings: { maxTokens: 100000 } });
+
+        expect(settings.params.maxTokens).toBe(llmConfig.paramBounds.maxTokens.max);
+    });
+});
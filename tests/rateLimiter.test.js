@@ -0,0 +1,98 @@
+const express = require("express");
+const cors = require("cors");
+const request = require("supertest");
+const logger = require("../utils/logger");
+const { getStore } = require("../utils/cache");
+const { rateLimit, checkRateLimit } = require("../utils/rateLimiter");
+
+const createApp = (overrides) => {
+    const app = express();
+    app.use(express.json());
+    app.post("/login", rateLimit("loginAccount", overrides), (req, res) => {
+        res.status(req.body.password === "right" ? 200 : 401).json({});
+    });
+    app.get("/", rateLimit("global", overrides), (req, res) => res.json({ ok: true }));
+    return app;
+};
+
+describe("Rate limiter", () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("sets RateLimit headers and rejects requests over the limit", async () => {
+        const app = createApp({ windowMs: 60000, max: 2, keyBy: [() => "headers-test"] });
+
+        const first = await request(app).get("/");
+        expect(first.statusCode).toBe(200);
+        expect(first.headers["ratelimit-limit"]).toBe("2");
+        expect(first.headers["ratelimit-remaining"]).toBe("1");
+        expect(first.headers["ratelimit-policy"]).toBe("2;w=60");
+
+        await request(app).get("/");
+        const limited = await request(app).get("/");
+        expect(limited.statusCode).toBe(429);
+        expect(limited.headers["ratelimit-remaining"]).toBe("0");
+        expect(Number(limited.headers["retry-after"])).toBeGreaterThan(0);
+    });
+
+    it("only counts failed requests when skipSuccessful is set", async () => {
+        const app = createApp({ windowMs: 60000, max: 2 });
+        const login = (password) => request(app).post("/login").send({ email: "Skip@Example.com", password });
+
+        expect((await login("right")).statusCode).toBe(200);
+        expect((await login("right")).statusCode).toBe(200);
+        expect((await login("wrong")).statusCode).toBe(401);
+        expect((await login("right")).statusCode).toBe(200);
+        expect((await login("wrong")).statusCode).toBe(401);
+        expect((await login("right")).statusCode).toBe(429);
+    });
+
+    it("keys requests separately", async () => {
+        const app = createApp({ windowMs: 60000, max: 1 });
+
+        await request(app).post("/login").send({ email: "a@example.com", password: "wrong" });
+        const other = await request(app).post("/login").send({ email: "b@example.com", password: "wrong" });
+        expect(other.statusCode).toBe(401);
+    });
+
+    it("skips requests without a key", async () => {
+        const app = createApp({ windowMs: 60000, max: 1 });
+
+        await request(app).post("/login").send({});
+        const res = await request(app).post("/login").send({});
+        expect(res.statusCode).toBe(401);
+        expect(res.headers["ratelimit-limit"]).toBeUndefined();
+    });
+
+    it("sends CORS headers with rejections when mounted after cors, as in server.js", async () => {
+        const app = express();
+        app.use(cors({ origin: "http://app.example.com" }));
+        app.use(rateLimit("global", { windowMs: 60000, max: 1, keyBy: [() => "cors-test"] }));
+        app.get("/", (req, res) => res.json({ ok: true }));
+
+        await request(app).get("/").set("Origin", "http://app.example.com");
+        const limited = await request(app).get("/").set("Origin", "http://app.example.com");
+        expect(limited.statusCode).toBe(429);
+        expect(limited.headers["access-control-allow-origin"]).toBe("http://app.example.com");
+    });
+
+    it("counts WebSocket messages with checkRateLimit", async () => {
+        const req = { user: { _id: "socket-user" } };
+        const overrides = { windowMs: 60000, max: 1, keyBy: ["user"] };
+
+        expect(await checkRateLimit("chat", req, overrides)).toMatchObject({ allowed: true, remaining: 0 });
+        expect(await checkRateLimit("chat", req, overrides)).toMatchObject({ allowed: false });
+    });
+
+    it("fails open and logs why when the store is unavailable", async () => {
+        jest.spyOn(getStore(), "slidingWindowHit").mockRejectedValue(new Error("connection refused"));
+        const warn = jest.spyOn(logger, "warn").mockImplementation(() => {});
+        const app = createApp({ windowMs: 60000, max: 1, keyBy: [() => "unavailable-test"] });
+
+        expect((await request(app).get("/")).statusCode).toBe(200);
+        expect((await request(app).get("/")).statusCode).toBe(200);
+        expect(await checkRateLimit("global", { ip: "1.2.3.4" })).toBeNull();
+        expect(warn).toHaveBeenCalledWith("Rate limiter unavailable for global: connection refused");
+    });
+});
@@ -0,0 +1,95 @@
+const { Readable } = require("stream");
+const { createSseDecoder, readEvents, tgiEvents, openAIEvents } = require("../services/llm/stream");
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+};
+
+// Feed `text` to readEvents split into chunks at the given byte offsets
+const readSplit = (text, offsets) => {
+    const bytes = Buffer.from(text);
+    const chunks = [];
+    let start = 0;
+    for (const offset of [...offsets, bytes.length]) {
+        chunks.push(bytes.subarray(start, offset));
+        start = offset;
+    }
+    return collect(readEvents(Readable.from(chunks)));
+};
+
+describe("SSE decoder", () => {
+    it("buffers lines split across chunks", () => {
+        const decoder = createSseDecoder();
+
+        expect(decoder.push("data: {\"a\":")).toEqual([]);
+        expect(decoder.push("1}\n")).toEqual([]);
+        expect(decoder.push("\ndata: x\n\n")).toEqual(["{\"a\":1}", "x"]);
+    });
+
+    it("handles CRLF and CR line endings, including a CRLF split in two", () => {
+        const decoder = createSseDecoder();
+
+        expect(decoder.push("data: one\r")).toEqual([]);
+        expect(decoder.push("\n\r\ndata: two\r\r")).toEqual(["one"]);
+        // The last "\r" could still be followed by "\n"
+        expect(decoder.push("data: three\n\n")).toEqual(["two", "three"]);
+    });
+
+    it("joins multi-line data and ignores comments and other fields", () => {
+        const decoder = createSseDecoder();
+
+        expect(decoder.push(": heartbeat\nevent: message\nid: 3\ndata: a\ndata:b\n\n")).toEqual(["a\nb"]);
+    });
+
+    it("returns a final event without a trailing blank line at the end", () => {
+        const decoder = createSseDecoder();
+
+        expect(decoder.push("data: last")).toEqual([]);
+        expect(decoder.end()).toEqual(["last"]);
+    });
+
+    it("decodes UTF-8 characters split across chunks", async () => {
+        const text = "data: {\"text\":\"héllo 👋\"}\n\n";
+        const emoji = Buffer.from(text).indexOf(Buffer.from("👋"));
+
+        // Split inside "é" and inside the emoji
+        const events = await readSplit(text, [17, emoji + 2]);
+        expect(events).toEqual([{ text: "héllo 👋" }]);
+    });
+
+    it("stops at [DONE] and skips payloads that are not JSON", async () => {
+        const events = await readSplit("data: {\"n\":1}\n\ndata: oops\n\ndata: [DONE]\n\ndata: {\"n\":2}\n\n", [5, 20]);
+        expect(events).toEqual([{ n: 1 }]);
+    });
+});
+
+describe("Upstream event mapping", () => {
+    it("streams TGI tokens and ignores the final generated_text", () => {
+        const state = {};
+        const events = [
+            { token: { text: "Hel", special: false } },
+            { token: { text: "lo", special: false } },
+            { token: { text: "</s>", special: true }, generated_text: "Hello" }
+        ].flatMap(data => tgiEvents(data, state));
+
+        expect(events).toEqual([{ content: "Hel" }, { content: "lo" }]);
+    });
+
+    it("uses generated_text when no tokens were streamed", () => {
+        expect(tgiEvents({ generated_text: "Hello" }, {})).toEqual([{ content: "Hello" }]);
+    });
+
+    it("throws TGI error events", () => {
+        expect(() => tgiEvents({ error: "Model overloaded", error_type: "overloaded" }, {})).toThrow("Model overloaded");
+    });
+
+    it("maps OpenAI deltas and usage", () => {
+        expect(openAIEvents({ choices: [{ delta: { content: "Hi" } }] })).toEqual([{ content: "Hi" }]);
+        expect(openAIEvents({ choices: [{ delta: { role: "assistant" } }] })).toEqual([]);
+        expect(openAIEvents({ choices: [], usage: { prompt_tokens: 5, completion_tokens: 2 } })).toEqual([
+            { usage: { promptTokens: 5, completionTokens: 2 } }
+        ]);
+    });
+});
@@ -0,0 +1,37 @@
+const { setStreamOwner, getStreamOwner, appendEvent, readEvents, markWatched, isWatched } = require("../services/streamBuffer");
+const { writeEvent } = require("../utils/sse");
+
+describe("Stream buffer", () => {
+    it("numbers events and replays those after the last seen ID", async () => {
+        await setStreamOwner("s1", "user-1");
+        expect(await getStreamOwner("s1")).toBe("user-1");
+
+        expect(await appendEvent("s1", "{\"a\":1}")).toBe(1);
+        expect(await appendEvent("s1", "{\"b\":2}")).toBe(2);
+        expect(await appendEvent("s1", "[DONE]")).toBe(3);
+
+        expect(await readEvents("s1", 1)).toEqual([
+            { id: 2, data: "{\"b\":2}" },
+            { id: 3, data: "[DONE]" }
+        ]);
+        expect(await readEvents("s1", 3)).toEqual([]);
+    });
+
+    it("tracks whether a stream is being read", async () => {
+        expect(await isWatched("s2")).toBe(false);
+        await markWatched("s2");
+        expect(await isWatched("s2")).toBe(true);
+    });
+});
+
+describe("SSE writer", () => {
+    it("writes the event id when known", () => {
+        const written = [];
+        const res = { write: (chunk) => written.push(chunk) };
+
+        writeEvent(res, "[DONE]", 7);
+        writeEvent(res, "{}", null);
+
+        expect(written).toEqual(["id: 7\ndata: [DONE]\n\n", "data: {}\n\n"]);
+    });
+});
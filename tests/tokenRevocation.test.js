@@ -0,0 +1,102 @@
+process.env.JWT_SECRET = "test-secret";
+
+jest.mock("../utils/cache", () => ({ getStore: jest.fn() }));
+
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const authConfig = require("../config/auth");
+const { getStore } = require("../utils/cache");
+const { rotateRefreshToken, isAccessTokenRevoked, revokeAllSessions, issueTokens } = require("../services/tokenService");
+
+describe("Refresh token rotation", () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("revokes the token in the same update that checks it", async () => {
+        jest.spyOn(RefreshToken, "findOneAndUpdate").mockResolvedValue({ user_id: "user1", family: "f1" });
+        jest.spyOn(RefreshToken, "create").mockResolvedValue({});
+
+        const result = await rotateRefreshToken("token", {});
+
+        expect(result).toMatchObject({ userId: "user1", token: expect.any(String), refreshToken: expect.any(String) });
+        expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+            expect.objectContaining({ revokedAt: null }),
+            { $set: { revokedAt: expect.any(Date) } }
+        );
+        expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ family: "f1" }));
+    });
+
+    it("treats a token another request already rotated as reuse", async () => {
+        jest.spyOn(RefreshToken, "findOneAndUpdate").mockResolvedValue(null);
+        jest.spyOn(RefreshToken, "findOne").mockResolvedValue({ user_id: "user1", family: "f1", revokedAt: new Date() });
+        jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({});
+
+        await expect(rotateRefreshToken("token", {})).resolves.toBeNull();
+        expect(RefreshToken.updateMany).toHaveBeenCalledWith({ family: "f1", revokedAt: null }, { revokedAt: expect.any(Date) });
+    });
+
+    it("rejects unknown and expired tokens without revoking anything", async () => {
+        jest.spyOn(RefreshToken, "findOneAndUpdate").mockResolvedValue(null);
+        jest.spyOn(RefreshToken, "findOne").mockResolvedValue(null);
+        jest.spyOn(RefreshToken, "updateMany");
+
+        await expect(rotateRefreshToken("token", {})).resolves.toBeNull();
+        expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+});
+
+describe("Access token revocation", () => {
+    const payload = { userId: "user1", jti: "jti1", iat: 100, iatMs: 100400 };
+
+    afterEach(() => {
+        authConfig.revocationFailOpen = false;
+    });
+
+    it("reads the denylist and the revoked-before time", async () => {
+        const values = { "tokens_revoked_before:user1": "150000", "token_denylist:jti2": "true" };
+        getStore.mockReturnValue({ get: async (key) => values[key] || null });
+
+        await expect(isAccessTokenRevoked(payload)).resolves.toBe(true);
+        await expect(isAccessTokenRevoked({ ...payload, iat: 200, iatMs: 200000 })).resolves.toBe(false);
+        await expect(isAccessTokenRevoked({ ...payload, jti: "jti2", iat: 200, iatMs: 200000 })).resolves.toBe(true);
+    });
+
+    it("accepts tokens issued later in the second the sessions were revoked", async () => {
+        const values = { "tokens_revoked_before:user1": "100200" };
+        getStore.mockReturnValue({ get: async (key) => values[key] || null });
+
+        await expect(isAccessTokenRevoked(payload)).resolves.toBe(false);
+        await expect(isAccessTokenRevoked({ ...payload, iatMs: 100100 })).resolves.toBe(true);
+        // Tokens without iatMs fall back to the whole second of `iat`
+        await expect(isAccessTokenRevoked({ userId: "user1", jti: "jti3", iat: 100 })).resolves.toBe(true);
+    });
+
+    it("stores revocations and signs tokens with millisecond times", async () => {
+        const set = jest.fn();
+        getStore.mockReturnValue({ set });
+        jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({});
+        jest.spyOn(RefreshToken, "create").mockResolvedValue({});
+        jest.spyOn(Date, "now").mockReturnValue(1700000000123);
+
+        await revokeAllSessions("user1");
+        const token = jwt.decode((await issueTokens({ _id: "user1" }, {})).token);
+
+        expect(set).toHaveBeenCalledWith("tokens_revoked_before:user1", "1700000000123", authConfig.accessTokenTtl);
+        expect(token.iatMs).toBe(1700000000123);
+        jest.restoreAllMocks();
+    });
+
+    it("rejects tokens when revocations can't be read", async () => {
+        getStore.mockReturnValue({ get: async () => { throw new Error("Redis down"); } });
+
+        await expect(isAccessTokenRevoked(payload)).rejects.toMatchObject({ status: 503 });
+    });
+
+    it("accepts them when configured to fail open", async () => {
+        authConfig.revocationFailOpen = true;
+        getStore.mockReturnValue({ get: async () => { throw new Error("Redis down"); } });
+
+        await expect(isAccessTokenRevoked(payload)).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,61 @@
+const Usage = require("../models/Usage");
+const quotas = require("../config/quotas");
+const { limitsFor, findExceededQuota } = require("../services/usageService");
+
+describe("Usage quotas", () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const mockUsage = (days) => {
+        jest.spyOn(Usage, "find").mockResolvedValue(days);
+    };
+
+    it("uses the role's quota without an override", () => {
+        expect(limitsFor({ role: "user" })).toEqual(quotas.user);
+        expect(limitsFor({ role: "admin" })).toEqual(quotas.admin);
+    });
+
+    it("prefers per-user overrides, including unlimited", () => {
+        const limits = limitsFor({ role: "user", quota: { dailyTokens: null, monthlyTokens: 50 } });
+        expect(limits).toEqual({ dailyTokens: null, monthlyTokens: 50 });
+    });
+
+    it("only overrides the fields that are set", () => {
+        const limits = limitsFor({ role: "user", quota: { dailyTokens: 10 } });
+        expect(limits).toEqual({ dailyTokens: 10, monthlyTokens: quotas.user.monthlyTokens });
+    });
+
+    it("allows users below their quota", async () => {
+        mockUsage([{ date: new Date().toISOString().slice(0, 10), totalTokens: 5 }]);
+        const user = { _id: "u1", role: "user", quota: { dailyTokens: 10, monthlyTokens: 100 } };
+
+        await expect(findExceededQuota(user)).resolves.toBeNull();
+    });
+
+    it("reports the daily quota once today's usage reaches it", async () => {
+        mockUsage([{ date: new Date().toISOString().slice(0, 10), totalTokens: 10 }]);
+        const user = { _id: "u1", role: "user", quota: { dailyTokens: 10, monthlyTokens: 100 } };
+
+        const exceeded = await findExceededQuota(user);
+        expect(exceeded).toMatchObject({ period: "daily", used: 10, limit: 10 });
+        expect(exceeded.resetsAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it("counts earlier days of the month towards the monthly quota only", async () => {
+        mockUsage([
+            { date: "1970-01-01", totalTokens: 95 },
+            { date: new Date().toISOString().slice(0, 10), totalTokens: 5 }
+        ]);
+        const user = { _id: "u1", role: "user", quota: { dailyTokens: 10, monthlyTokens: 100 } };
+
+        await expect(findExceededQuota(user)).resolves.toMatchObject({ period: "monthly", used: 100 });
+    });
+
+    it("never limits unlimited quotas", async () => {
+        mockUsage([{ date: new Date().toISOString().slice(0, 10), totalTokens: 1e9 }]);
+        const user = { _id: "u1", role: "user", quota: { dailyTokens: null, monthlyTokens: null } };
+
+        await expect(findExceededQuota(user)).resolves.toBeNull();
+    });
+});
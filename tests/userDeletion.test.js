@@ -0,0 +1,67 @@
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+const mockAdminId = new mongoose.Types.ObjectId();
+
+jest.mock("../middleware/auth", () => ({
+    adminAuth: (req, res, next) => {
+        req.user = { _id: mockAdminId, role: "admin" };
+        next();
+    }
+}));
+jest.mock("../services/tokenService", () => ({ revokeAllSessions: jest.fn() }));
+jest.mock("../services/auditLog", () => ({ recordAudit: jest.fn() }));
+jest.mock("../utils/cache", () => ({ deleteCacheByPrefix: jest.fn() }));
+
+const User = require("../models/User");
+const Chat = require("../models/Chat");
+const Conversation = require("../models/Conversation");
+const RefreshToken = require("../models/RefreshToken");
+const Document = require("../models/Document");
+const DocumentChunk = require("../models/DocumentChunk");
+const ToolExecution = require("../models/ToolExecution");
+const Usage = require("../models/Usage");
+const Persona = require("../models/Persona");
+const { revokeAllSessions } = require("../services/tokenService");
+const { recordAudit } = require("../services/auditLog");
+
+const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/admin", require("../routes/adminRoutes"));
+    return app;
+};
+
+describe("User deletion", () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("deletes everything stored for the user", async () => {
+        const userId = new mongoose.Types.ObjectId();
+        const user = { _id: userId, email: "gone@example.com", deleteOne: jest.fn() };
+        jest.spyOn(User, "findById").mockResolvedValue(user);
+
+        const models = [Chat, Conversation, RefreshToken, Document, DocumentChunk, ToolExecution, Usage, Persona];
+        const deleteMany = models.map(model => jest.spyOn(model, "deleteMany").mockResolvedValue({ deletedCount: 2 }));
+
+        const res = await request(createApp()).delete(`/api/admin/users/${userId}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(Chat.deleteMany).toHaveBeenCalledWith({ user_id: userId.toString() });
+        for (const model of [Conversation, RefreshToken, Document, DocumentChunk, ToolExecution, Usage]) {
+            expect(model.deleteMany).toHaveBeenCalledWith({ user_id: userId });
+        }
+        // Shared personas may be in use by others
+        expect(Persona.deleteMany).toHaveBeenCalledWith({ user_id: userId, shared: { $ne: true } });
+        expect(deleteMany.every(spy => spy.mock.calls.length === 1)).toBe(true);
+
+        expect(revokeAllSessions).toHaveBeenCalledWith(userId);
+        expect(user.deleteOne).toHaveBeenCalled();
+        expect(recordAudit).toHaveBeenCalledWith(expect.anything(), "user.deleted", userId, expect.objectContaining({
+            deletedChats: 2,
+            deletedDocuments: 2
+        }));
+    });
+});
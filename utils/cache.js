@@ -1,58 +1,102 @@
 const Redis = require("redis");
 const logger = require("./logger");
+const cacheConfig = require("../config/cache");
+const { createRedisStore } = require("./redisStore");
+const { createMemoryStore } = require("./memoryStore");
 
-const redisClient = Redis.createClient({
-    url: process.env.REDIS_URL || "redis://localhost:6379"
+const createConfiguredMemoryStore = () => createMemoryStore({
+    maxEntries: cacheConfig.memoryMaxEntries,
+    pinnedPrefixes: cacheConfig.memoryPinnedPrefixes
 });
 
-redisClient.on("error", (err) => {
-    logger.error("Redis Client Error:", err);
-});
+let redisClient = null;
+let store = createConfiguredMemoryStore();
 
-redisClient.on("connect", () => {
-    logger.info("Redis Client Connected");
-});
+if (cacheConfig.driver === "redis") {
+    let connected = false;
+
+    redisClient = Redis.createClient({
+        url: cacheConfig.redisUrl,
+        // Fail commands immediately while disconnected instead of queueing them
+        disableOfflineQueue: true,
+        socket: {
+            // Give up on the initial connection (and fall back to memory),
+            // but keep reconnecting once Redis has been reachable
+            reconnectStrategy: (retries, cause) => connected ? Math.min(retries * 100, 3000) : cause
+        }
+    });
+
+    redisClient.on("error", (err) => {
+        logger.error("Redis Client Error:", err);
+    });
+
+    redisClient.on("connect", () => {
+        connected = true;
+        logger.info("Redis Client Connected");
+    });
+
+    store = createRedisStore(redisClient);
+}
+
+// Connect the configured store. Falls back to the in-memory store when Redis
+// cannot be reached, so the server can run without it.
+const connectCache = async () => {
+    if (!redisClient) {
+        logger.info("Using in-memory cache");
+        return;
+    }
 
-const connectRedis = async () => {
     try {
         await redisClient.connect();
     } catch (error) {
-        logger.error("Redis Connection Error:", error);
-        process.exit(1);
+        logger.error("Redis Connection Error, falling back to in-memory cache:", error);
+        store = createConfiguredMemoryStore();
     }
 };
 
+// The active store, for modules needing more than get/set (e.g. rate limiting)
+const getStore = () => store;
+
 const getCache = async (key) => {
     try {
-        const data = await redisClient.get(key);
+        const data = await store.get(key);
         return data ? JSON.parse(data) : null;
     } catch (error) {
-        logger.error("Redis Get Error:", error);
+        logger.error("Cache Get Error:", error);
         return null;
     }
 };
 
 const setCache = async (key, value, expireTime = 3600) => {
     try {
-        await redisClient.set(key, JSON.stringify(value), {
-            EX: expireTime
-        });
+        await store.set(key, JSON.stringify(value), expireTime);
     } catch (error) {
-        logger.error("Redis Set Error:", error);
+        logger.error("Cache Set Error:", error);
     }
 };
 
 const deleteCache = async (key) => {
     try {
-        await redisClient.del(key);
+        await store.del(key);
     } catch (error) {
-        logger.error("Redis Delete Error:", error);
+        logger.error("Cache Delete Error:", error);
+    }
+};
+
+// Delete every key starting with `prefix`, e.g. all pages of a user's history
+const deleteCacheByPrefix = async (prefix) => {
+    try {
+        await store.delByPrefix(prefix);
+    } catch (error) {
+        logger.error("Cache Delete Error:", error);
     }
 };
 
 module.exports = {
-    connectRedis,
+    connectCache,
+    getStore,
     getCache,
     setCache,
-    deleteCache
-}; 
\ No newline at end of file
+    deleteCache,
+    deleteCacheByPrefix
+};
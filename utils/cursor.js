@@ -0,0 +1,30 @@
+// Opaque pagination cursors over a (timestamp, _id) sort order
+
+const encodeCursor = (doc) => Buffer.from(JSON.stringify({
+    t: doc.timestamp.toISOString(),
+    id: doc._id.toString()
+})).toString("base64url");
+
+// Returns { timestamp, id } or null when the cursor is malformed
+const decodeCursor = (cursor) => {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        const timestamp = new Date(t);
+        if (Number.isNaN(timestamp.getTime()) || !/^[a-f0-9]{24}$/i.test(id)) {
+            return null;
+        }
+        return { timestamp, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Query condition selecting documents after the cursor in descending order
+const afterCursor = ({ timestamp, id }) => ({
+    $or: [
+        { timestamp: { $lt: timestamp } },
+        { timestamp, _id: { $lt: id } }
+    ]
+});
+
+module.exports = { encodeCursor, decodeCursor, afterCursor };
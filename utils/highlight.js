@@ -0,0 +1,53 @@
+const escapeHtml = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Terms of a MongoDB $text search string: quoted phrases and words,
+// without negated ("-word") terms
+const searchTerms = (query) => {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        const negated = match[1] || match[3];
+        const term = (match[2] || match[4]).trim();
+        if (!negated && term.length > 1) {
+            terms.push(term);
+        }
+    }
+
+    return terms;
+};
+
+// Return an HTML-escaped excerpt of `text` around the first match of any
+// term, with matches wrapped in <mark>. Words match by prefix to roughly
+// follow MongoDB's stemming. Returns null when nothing matches.
+const highlight = (text, terms, { radius = 80 } = {}) => {
+    if (!text || !terms.length) return null;
+
+    const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join("|")})\\w*`, "gi");
+    const first = pattern.exec(text);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - radius);
+    const end = Math.min(text.length, first.index + first[0].length + radius);
+    const excerpt = text.slice(start, end);
+
+    pattern.lastIndex = 0;
+    let result = "";
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        result += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    result += escapeHtml(excerpt.slice(last));
+
+    return `${start > 0 ? "…" : ""}${result}${end < text.length ? "…" : ""}`;
+};
+
+module.exports = { searchTerms, highlight };
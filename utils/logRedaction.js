@@ -0,0 +1,71 @@
+// Redaction of log entries: credentials anywhere in them, and the message
+// bodies of chats, which may hold personal data, in their fields
+
+const REDACTED = "[REDACTED]";
+
+// Fields holding credentials, matched on their lowercased name without "-"
+// and "_" (so accessToken, refresh_token, x-api-key...)
+const SECRET_NAMES = /(?:password|secret|token|apikey|authorization|cookie)$/;
+
+// Fields holding message bodies or request payloads
+const BODY_NAMES = new Set(["message", "messages", "content", "prompt", "response", "text", "body", "data", "arguments", "result", "query"]);
+
+// Credentials inside strings, e.g. in log messages or error messages
+const SECRET_PATTERNS = [
+    [/\bBearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+    [/([?&](?:token|access_token|refresh_token|api_key|key|password)=)[^&\s"']+/gi, `$1${REDACTED}`],
+    [/\bsk-[A-Za-z0-9_-]{16,}/g, REDACTED]
+];
+
+const MAX_DEPTH = 6;
+
+const redactString = (text) => SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+// Axios errors carry the request they made, with its headers and body, and
+// the whole response; keep what identifies the call
+const summarizeHttp = (key, value) => {
+    if (key === "config" && value.url !== undefined && value.method !== undefined) {
+        return { method: value.method, url: redactString(String(value.url)) };
+    }
+    if (key === "response" && value.status !== undefined && value.headers !== undefined) {
+        return { status: value.status, statusText: value.statusText };
+    }
+    if (key === "request" && (value.socket !== undefined || value.res !== undefined || value._header !== undefined)) {
+        return undefined;
+    }
+    return value;
+};
+
+const redactValue = (value, depth) => {
+    if (typeof value === "string") return redactString(value);
+    if (!value || typeof value !== "object" || value instanceof Date) return value;
+    if (depth >= MAX_DEPTH) return "[Object]";
+    if (Array.isArray(value)) return value.map(item => redactValue(item, depth + 1));
+    if (typeof value.toHexString === "function") return value.toString();
+    return redactFields(value, depth + 1);
+};
+
+// A copy of the fields of `object` with credentials and bodies replaced.
+// `keep` names fields left as they are apart from credential patterns
+// (the log message itself).
+const redactFields = (object, depth = 0, keep = []) => {
+    const result = {};
+    for (const [key, raw] of Object.entries(object)) {
+        const name = key.toLowerCase().replace(/[-_]/g, "");
+        const value = raw && typeof raw === "object" ? summarizeHttp(key, raw) : raw;
+
+        if (value !== raw) {
+            if (value !== undefined) result[key] = value;
+        } else if (SECRET_NAMES.test(name) && value !== null && typeof value !== "number" && typeof value !== "boolean") {
+            result[key] = REDACTED;
+        } else if (BODY_NAMES.has(name) && !keep.includes(key) && value !== null && value !== "") {
+            result[key] = REDACTED;
+        } else {
+            result[key] = redactValue(value, depth);
+        }
+    }
+    return result;
+};
+
+module.exports = { REDACTED, redactString, redactFields };
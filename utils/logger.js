@@ -1,9 +1,34 @@
 const winston = require("winston");
 const path = require("path");
+const logConfig = require("../config/logging");
+const { getContext } = require("./requestContext");
+const { redactFields } = require("./logRedaction");
+
+// Tie entries to the request being handled (see middleware/requestContext.js)
+const requestContext = winston.format((info) => {
+    const context = getContext();
+    if (context) {
+        for (const [key, value] of Object.entries(context)) {
+            if (info[key] === undefined && value !== undefined) info[key] = value;
+        }
+    }
+    return info;
+});
+
+// Replace credentials and message bodies, keeping winston's symbol fields
+const redact = winston.format((info) => {
+    const fields = redactFields(info, 0, ["message"]);
+    for (const key of Object.keys(info)) {
+        if (!(key in fields)) delete info[key];
+    }
+    return Object.assign(info, fields);
+});
 
 const logger = winston.createLogger({
-    level: "info",
+    level: logConfig.level,
     format: winston.format.combine(
+        requestContext(),
+        ...(logConfig.redact ? [redact()] : []),
         winston.format.timestamp(),
         winston.format.json()
     ),
@@ -27,4 +52,4 @@ if (process.env.NODE_ENV !== "production") {
     }));
 }
 
-module.exports = logger; 
\ No newline at end of file
+module.exports = logger;
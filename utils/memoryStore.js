@@ -0,0 +1,122 @@
+// In-process cache store with LRU eviction and per-key expiry. Implements
+// the same interface as the Redis store, for running without Redis and in
+// tests. Data is not shared between instances.
+//
+// Keys starting with one of `pinnedPrefixes` (e.g. token revocations) are
+// kept apart and never evicted, only expired, so that filling the cache
+// can't drop them.
+const PINNED_SWEEP_MS = 60000;
+
+const createMemoryStore = ({ maxEntries = 10000, pinnedPrefixes = [], now = Date.now } = {}) => {
+    const entries = new Map();
+    const pinned = new Map();
+    let sweptAt = now();
+
+    const isPinned = (key) => pinnedPrefixes.some(prefix => key.startsWith(prefix));
+    const mapFor = (key) => isPinned(key) ? pinned : entries;
+
+    // Drop expired pinned keys that were never read again
+    const sweepPinned = () => {
+        if (now() - sweptAt < PINNED_SWEEP_MS) return;
+        sweptAt = now();
+        for (const [key, entry] of pinned) {
+            if (entry.expiresAt !== null && entry.expiresAt <= sweptAt) pinned.delete(key);
+        }
+    };
+
+    const read = (key) => {
+        const map = mapFor(key);
+        const entry = map.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt !== null && entry.expiresAt <= now()) {
+            map.delete(key);
+            return undefined;
+        }
+
+        // Move to the most recently used position
+        map.delete(key);
+        map.set(key, entry);
+        return entry;
+    };
+
+    const write = (key, value, ttlMs) => {
+        const map = mapFor(key);
+        map.delete(key);
+        map.set(key, { value, expiresAt: ttlMs ? now() + ttlMs : null });
+
+        if (map === pinned) {
+            sweepPinned();
+            return;
+        }
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    return {
+        name: "memory",
+
+        get: async (key) => {
+            const entry = read(key);
+            return entry ? entry.value : null;
+        },
+
+        set: async (key, value, ttlSeconds) => {
+            write(key, value, ttlSeconds ? ttlSeconds * 1000 : null);
+        },
+
+        del: async (key) => {
+            mapFor(key).delete(key);
+        },
+
+        delByPrefix: async (prefix) => {
+            let deleted = 0;
+            for (const map of [entries, pinned]) {
+                for (const key of [...map.keys()]) {
+                    if (key.startsWith(prefix)) {
+                        map.delete(key);
+                        deleted++;
+                    }
+                }
+            }
+            return deleted;
+        },
+
+        // Append to a list, refreshing its expiry. Returns the new length.
+        append: async (key, value, ttlSeconds) => {
+            const list = read(key)?.value || [];
+            list.push(value);
+            write(key, list, ttlSeconds ? ttlSeconds * 1000 : null);
+            return list.length;
+        },
+
+        // List items from index `start` to the end
+        range: async (key, start = 0) => (read(key)?.value || []).slice(start),
+
+        slidingWindowHit: async (key, { windowMs, max, member, at = now() }) => {
+            const hits = (read(key)?.value || []).filter(hit => hit.at > at - windowMs);
+
+            const allowed = hits.length < max;
+            if (allowed) {
+                hits.push({ at, member });
+            }
+            write(key, hits, windowMs);
+
+            return {
+                allowed,
+                count: hits.length,
+                oldest: hits.length ? hits[0].at : at
+            };
+        },
+
+        removeHit: async (key, member) => {
+            const entry = read(key);
+            if (entry) {
+                entry.value = entry.value.filter(hit => hit.member !== member);
+            }
+        }
+    };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const { getStore } = require("./cache");
+const logger = require("./logger");
+const policies = require("../config/rateLimits");
+
+const keyParts = {
+    ip: (req) => req.ip,
+    user: (req) => req.user?._id?.toString() || `ip:${req.ip}`,
+    route: (req) => `${req.method}:${req.baseUrl}${req.route?.path || req.path}`
+};
+
+const buildKey = (name, keyBy, req) => {
+    const parts = keyBy.map(part => typeof part === "function" ? part(req) : keyParts[part](req));
+    if (parts.some(part => part === null || part === undefined)) {
+        return null;
+    }
+    return `rate_limit:${name}:${parts.join(":")}`;
+};
+
+// Record a hit for `key`, returning whether it is allowed and the window state
+const hit = async (key, { windowMs, max }) => {
+    const at = Date.now();
+    const member = `${at}:${crypto.randomUUID()}`;
+
+    const { allowed, count, oldest } = await getStore().slidingWindowHit(key, { windowMs, max, member, at });
+
+    return {
+        allowed,
+        remaining: Math.max(0, max - count),
+        resetMs: Math.max(0, oldest + windowMs - at),
+        member
+    };
+};
+
+const resolvePolicy = (name, overrides = {}) => {
+    const policy = { ...policies[name], ...overrides };
+    if (!policy.windowMs || !policy.max) {
+        throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+    return policy;
+};
+
+// Count a request against a policy outside of Express (e.g. a WebSocket
+// message). `req` needs the fields the policy's keys are built from.
+// Resolves with { allowed, remaining, resetSeconds }, or null when the
+// request is not limited or the store is unavailable.
+const checkRateLimit = async (name, req, overrides) => {
+    const policy = resolvePolicy(name, overrides);
+    const key = buildKey(name, policy.keyBy, req);
+    if (!key) return null;
+
+    try {
+        const { allowed, remaining, resetMs } = await hit(key, policy);
+        return { allowed, remaining, resetSeconds: Math.ceil(resetMs / 1000) };
+    } catch (error) {
+        logger.warn(`Rate limiter unavailable for ${name}: ${error.message}`);
+        return null;
+    }
+};
+
+// Create rate limiting middleware for a named policy from config/rateLimits.js,
+// optionally overriding its settings
+const rateLimit = (name, overrides = {}) => {
+    const policy = resolvePolicy(name, overrides);
+
+    return async (req, res, next) => {
+        const key = buildKey(name, policy.keyBy, req);
+        if (!key) return next();
+
+        let result;
+        try {
+            result = await hit(key, policy);
+        } catch (error) {
+            // Fail open: an unavailable store should not take the API down
+            logger.warn(`Rate limiter unavailable for ${name}: ${error.message}`);
+            return next();
+        }
+
+        const resetSeconds = Math.ceil(result.resetMs / 1000);
+        res.setHeader("RateLimit-Policy", `${policy.max};w=${Math.ceil(policy.windowMs / 1000)}`);
+        res.setHeader("RateLimit-Limit", policy.max);
+        res.setHeader("RateLimit-Remaining", result.remaining);
+        res.setHeader("RateLimit-Reset", resetSeconds);
+
+        if (!result.allowed) {
+            res.setHeader("Retry-After", resetSeconds);
+            return res.status(429).json({
+                error: "Rate limit exceeded",
+                message: `Please wait ${resetSeconds} seconds before trying again`
+            });
+        }
+
+        // Give the slot back when only failed requests should count
+        if (policy.skipSuccessful) {
+            res.on("finish", () => {
+                if (res.statusCode < 400) {
+                    getStore().removeHit(key, result.member).catch((error) => {
+                        logger.warn(`Rate limiter cleanup error: ${error.message}`);
+                    });
+                }
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = { rateLimit, checkRateLimit };
@@ -0,0 +1,79 @@
+// Sliding window log: one sorted-set entry per request, scored by time.
+// Expired entries are trimmed, then the request is added only if the
+// window still has room. Returns { allowed, count, oldest }.
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local max = tonumber(ARGV[3])
+
+redis.call("ZREMRANGEBYSCORE", key, 0, now - window)
+local count = redis.call("ZCARD", key)
+local allowed = 0
+if count < max then
+    redis.call("ZADD", key, now, ARGV[4])
+    count = count + 1
+    allowed = 1
+end
+redis.call("PEXPIRE", key, window)
+
+local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+return { allowed, count, tonumber(oldest[2]) or now }
+`;
+
+// Escape glob characters so a prefix can be used in a SCAN MATCH pattern
+const escapeGlob = (text) => text.replace(/[*?[\]\\]/g, "\\$&");
+
+// Cache store backed by a connected node-redis client
+const createRedisStore = (client) => ({
+    name: "redis",
+
+    get: (key) => client.get(key),
+
+    set: (key, value, ttlSeconds) => client.set(key, value, ttlSeconds ? { EX: ttlSeconds } : {}),
+
+    del: (key) => client.del(key),
+
+    // SCAN rather than KEYS so large keyspaces do not block the server
+    delByPrefix: async (prefix) => {
+        let deleted = 0;
+        let batch = [];
+
+        for await (const key of client.scanIterator({ MATCH: `${escapeGlob(prefix)}*`, COUNT: 100 })) {
+            batch.push(key);
+            if (batch.length === 100) {
+                deleted += await client.del(batch);
+                batch = [];
+            }
+        }
+        if (batch.length) {
+            deleted += await client.del(batch);
+        }
+
+        return deleted;
+    },
+
+    append: async (key, value, ttlSeconds) => {
+        const multi = client.multi().rPush(key, value);
+        if (ttlSeconds) {
+            multi.expire(key, ttlSeconds);
+        }
+        const [length] = await multi.exec();
+        return length;
+    },
+
+    range: (key, start = 0) => client.lRange(key, start, -1),
+
+    slidingWindowHit: async (key, { windowMs, max, member, at = Date.now() }) => {
+        const [allowed, count, oldest] = await client.eval(SLIDING_WINDOW_SCRIPT, {
+            keys: [key],
+            arguments: [String(at), String(windowMs), String(max), member]
+        });
+
+        return { allowed: allowed === 1, count, oldest };
+    },
+
+    removeHit: (key, member) => client.zRem(key, member)
+});
+
+module.exports = { createRedisStore };
@@ -0,0 +1,20 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Context of the request being handled ({ requestId, userId, method, route }),
+// available to everything it calls, including across awaits and callbacks,
+// so log entries can be tied to their request
+const storage = new AsyncLocalStorage();
+
+// Run `fn` with `context` as the current context
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+// The current context, or undefined outside of a request
+const getContext = () => storage.getStore();
+
+// Add fields to the current context, e.g. the user once authenticated
+const setContext = (fields) => {
+    const context = storage.getStore();
+    if (context) Object.assign(context, fields);
+};
+
+module.exports = { runWithContext, getContext, setContext };
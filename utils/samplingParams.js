@@ -0,0 +1,41 @@
+const { body } = require("express-validator");
+const llmConfig = require("../config/llm");
+
+// Sampling parameters users can set on personas, conversations and requests
+const PARAM_NAMES = ["temperature", "topP", "maxTokens"];
+
+// Error message when `value` is not a valid `name` within the configured
+// bounds, otherwise null
+const checkParam = (name, value) => {
+    const { min, max } = llmConfig.paramBounds[name];
+    const valid = typeof value === "number" && Number.isFinite(value) && value >= min && value <= max &&
+        (name !== "maxTokens" || Number.isInteger(value));
+
+    return valid ? null : `${name} must be ${name === "maxTokens" ? "an integer " : ""}between ${min} and ${max}`;
+};
+
+// The sampling parameters set in `source`, ignoring missing and null ones
+const pickParams = (source = {}) => {
+    const params = {};
+    for (const name of PARAM_NAMES) {
+        if (source[name] !== undefined && source[name] !== null) {
+            params[name] = source[name];
+        }
+    }
+    return params;
+};
+
+// Validators for optional sampling parameters in the request body. With
+// `nullable`, null is accepted to clear a parameter.
+const samplingValidators = ({ nullable = false } = {}) => PARAM_NAMES.map(name =>
+    body(name)
+        .optional({ values: "undefined" })
+        .custom(value => {
+            if (value === null && nullable) return true;
+            const error = checkParam(name, value);
+            if (error) throw new Error(error);
+            return true;
+        })
+);
+
+module.exports = { PARAM_NAMES, checkParam, pickParams, samplingValidators };
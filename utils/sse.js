@@ -0,0 +1,25 @@
+const streamingConfig = require("../config/streaming");
+
+// Start a server-sent event response. A comment line is sent periodically
+// so that proxies do not close an idle connection.
+const startEventStream = (res, heartbeatMs = streamingConfig.heartbeatMs) => {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    const timer = setInterval(() => {
+        res.write(": heartbeat\n\n");
+        // Flush through the compression middleware
+        if (res.flush) res.flush();
+    }, heartbeatMs);
+    res.on("close", () => clearInterval(timer));
+};
+
+// Write one event, with an `id:` field when it is known
+const writeEvent = (res, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ""}data: ${data}\n\n`);
+    if (res.flush) res.flush();
+};
+
+module.exports = { startEventStream, writeEvent };